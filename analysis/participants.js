@@ -0,0 +1,343 @@
+#!/usr/bin/env node
+/**
+ * Per-participant analysis
+ * Turns raw event logs into one CSV row per participant: per-slide dwell (and percent
+ * watched for video slides) by displayed position and by creative, the slide order shown,
+ * slides viewed against MIN_DWELL_MS, completion rate, video percent watched and ad reel
+ * engagement counts.
+ *
+ * Reads collector NDJSON (server/collector.js) or a GA4 BigQuery export (newline-
+ * delimited or a JSON array of rows with event_name / event_params). Events are
+ * deduplicated by session_id + seq, and debug sessions are skipped.
+ *
+ * Usage: node analysis/participants.js [options] <file...> > participants.csv
+ *   --out <file>            Write the CSV here instead of stdout
+ *   --exclude-duplicates    Drop participants with more than one session
+ *   --min-exposure-ms <ms>  Drop participants who saw the ad reel for less than this
+ *   --min-dwell-ms <ms>     Dwell for a slide to count as viewed (default: MIN_DWELL_MS)
+ *   --include-debug         Keep events sent with ?debug=1
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+// Configuration
+const MIN_DWELL_MS = 2000; // Same threshold as ga-carousel.js
+const ENGAGEMENT_ACTIONS = ['like', 'comment', 'share', 'follow', 'more']; // data-action values in index.html
+
+/**
+ * Flatten one GA4 BigQuery export row into { name, params }
+ */
+function fromBigQueryRow(row) {
+    const params = {};
+    
+    (row.event_params || []).forEach(({ key, value }) => {
+        if (!value) return;
+        if (value.string_value !== undefined && value.string_value !== null) {
+            params[key] = value.string_value;
+        } else if (value.int_value !== undefined && value.int_value !== null) {
+            params[key] = Number(value.int_value); // Exported as a string
+        } else if (value.double_value !== undefined && value.double_value !== null) {
+            params[key] = Number(value.double_value);
+        } else if (value.float_value !== undefined && value.float_value !== null) {
+            params[key] = Number(value.float_value);
+        }
+    });
+    if (row.user_id && params.user_id === undefined) {
+        params.user_id = row.user_id;
+    }
+    
+    return { name: row.event_name, params: params };
+}
+
+/**
+ * Normalise a parsed record from either log format, or null if it isn't an event
+ */
+function toEvent(record) {
+    if (!record || typeof record !== 'object') return null;
+    if (typeof record.event_name === 'string') return fromBigQueryRow(record);
+    if (typeof record.name === 'string' && record.params) return { name: record.name, params: record.params };
+    return null;
+}
+
+/**
+ * Parse a log file's contents - a JSON array, or one JSON record per line
+ */
+function parseLog(text, source = 'input') {
+    const trimmed = text.trim();
+    let records;
+    
+    if (trimmed.startsWith('[')) {
+        records = JSON.parse(trimmed);
+    } else {
+        records = trimmed.split('\n').filter(line => line.trim() !== '').map((line, index) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`${source}:${index + 1}: invalid JSON`);
+            }
+        });
+    }
+    
+    return records.map(toEvent).filter(Boolean);
+}
+
+/**
+ * Drop debug events and repeats of the same session_id + seq (a batch re-sent after a lost response)
+ */
+function cleanEvents(events, includeDebug = false) {
+    const seen = new Set();
+    
+    return events.filter(event => {
+        const params = event.params;
+        if (!includeDebug && (params.debug_mode === true || params.debug_mode === 'true')) return false;
+        if (!params.user_id || !params.session_id) return false;
+        
+        const key = `${params.session_id}#${params.seq}`;
+        if (params.seq !== undefined && seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Group events by participant, then by session (sessions ordered by their first event)
+ */
+function groupByParticipant(events) {
+    const participants = new Map();
+    
+    events.forEach(event => {
+        const participantId = String(event.params.user_id);
+        if (!participants.has(participantId)) participants.set(participantId, new Map());
+        
+        const sessions = participants.get(participantId);
+        const sessionId = String(event.params.session_id);
+        if (!sessions.has(sessionId)) sessions.set(sessionId, []);
+        sessions.get(sessionId).push(event);
+    });
+    
+    participants.forEach((sessions, participantId) => {
+        sessions.forEach(sessionEvents => sessionEvents.sort((a, b) => (a.params.seq || 0) - (b.params.seq || 0)));
+        const ordered = Array.from(sessions.entries()).sort((a, b) =>
+            (a[1][0].params.client_ts || 0) - (b[1][0].params.client_ts || 0));
+        participants.set(participantId, ordered);
+    });
+    
+    return participants;
+}
+
+/**
+ * Summarise one participant from their first session (later sessions are only counted)
+ */
+function summariseParticipant(participantId, sessions, minDwellMs = MIN_DWELL_MS) {
+    const [sessionId, events] = sessions[0];
+    const byName = (name) => events.filter(event => event.name === name);
+    const first = (name) => byName(name)[0];
+    const last = (name) => byName(name).slice(-1)[0];
+    
+    // Each from the first event carrying it - condition_assigned is sent before stimulus.js
+    // adds stimulus and ad_position to the context
+    const firstParam = (key) => {
+        const event = events.find(event => event.params[key] !== undefined);
+        return event ? event.params[key] : null;
+    };
+    
+    // Ad reel exposure - the largest running total reported for it
+    const exposureMs = events
+        .filter(event => (event.name === 'reel_exit' || event.name === 'reel_dwell_ms') && event.params.reel_type === 'ad')
+        .reduce((max, event) => Math.max(max, Number(event.params.total_dwell_ms) || 0), 0);
+    
+    // Per-slide dwell, accumulated across pause/resume segments - by displayed position and,
+    // since the slide order is counterbalanced, by creative (sessions before schema 7 have no slide_id)
+    const slideDwellMs = new Map();
+    const slideLongestVisitMs = new Map(); // One dwell_end per visit
+    const creativeDwellMs = new Map();
+    byName('dwell_end').forEach(event => {
+        const index = Number(event.params.slide_index);
+        const dwellMs = Number(event.params.dwell_ms) || 0;
+        slideDwellMs.set(index, (slideDwellMs.get(index) || 0) + dwellMs);
+        slideLongestVisitMs.set(index, Math.max(slideLongestVisitMs.get(index) || 0, dwellMs));
+        if (event.params.slide_id) {
+            creativeDwellMs.set(event.params.slide_id, (creativeDwellMs.get(event.params.slide_id) || 0) + dwellMs);
+        }
+    });
+    
+    const identified = first('participant_identified'); // Sessions before schema 8 have none
+    const consent = first('consent_given'); // Sessions before schema 9 have none
+    const carouselStart = first('carousel_start');
+    const carouselComplete = last('carousel_complete');
+    const totalSlides = Number((carouselComplete || carouselStart || { params: {} }).params.total_slides) || 0;
+    // Viewed as in ga-carousel.js - a single visit reached minDwellMs
+    const slidesViewed = Array.from(slideLongestVisitMs.values()).filter(dwellMs => dwellMs >= minDwellMs).length;
+    
+    // Video ad - percent from video_complete, else the furthest progress milestone
+    // (carousel video slides are reported per slide below)
+    const isSlideVideo = (event) => event.params.slide_index !== undefined && event.params.slide_index !== null;
+    const adVideo = (name) => byName(name).filter(event => !isSlideVideo(event));
+    const videoComplete = adVideo('video_complete').slice(-1)[0];
+    const videoStart = adVideo('video_start')[0];
+    let videoPercent = null;
+    if (videoComplete) {
+        videoPercent = Number(videoComplete.params.percent_watched);
+    } else if (videoStart) {
+        const furthest = adVideo('video_progress').reduce((max, event) =>
+            Math.max(max, Number(event.params.second) || 0), 0);
+        const duration = Number(videoStart.params.duration_s) || 0;
+        videoPercent = duration > 0 ? Math.min(100, Math.round((furthest / duration) * 100)) : 0;
+    }
+    
+    // Video slides - percent watched per slide (0 if the slide's video never started)
+    const slideVideoPercent = new Map();
+    byName('video_start').filter(isSlideVideo).forEach(event => {
+        slideVideoPercent.set(Number(event.params.slide_index), 0);
+    });
+    byName('video_complete').filter(isSlideVideo).forEach(event => {
+        slideVideoPercent.set(Number(event.params.slide_index), Number(event.params.percent_watched));
+    });
+    
+    const row = {
+        participant_id: participantId,
+        session_id: sessionId,
+        sessions: sessions.length,
+        recruitment_platform: identified ? identified.params.recruitment_platform : null,
+        id_format_valid: identified ? identified.params.id_format_valid : null,
+        consent_version: consent ? consent.params.consent_version : null,
+        condition: firstParam('condition'),
+        stimulus: firstParam('stimulus'),
+        ad_position: firstParam('ad_position'),
+        exposure_ms: exposureMs,
+        total_slides: totalSlides,
+        slide_order: carouselStart ? carouselStart.params.slide_order || null : null,
+        slide_order_mode: carouselStart ? carouselStart.params.slide_order_mode || null : null
+    };
+    
+    for (let index = 0; index < totalSlides; index++) {
+        row[`slide_${index + 1}_dwell_ms`] = slideDwellMs.get(index) || 0;
+        if (slideVideoPercent.has(index)) {
+            row[`slide_${index + 1}_video_percent`] = slideVideoPercent.get(index);
+        }
+    }
+    
+    const creativeIds = carouselStart && carouselStart.params.slide_order ?
+        String(carouselStart.params.slide_order).split(',') :
+        Array.from(creativeDwellMs.keys());
+    creativeIds.forEach(slideId => {
+        row[`creative_${slideId}_dwell_ms`] = creativeDwellMs.get(slideId) || 0;
+    });
+    
+    row.slides_viewed = slidesViewed;
+    row.completion_rate = totalSlides > 0 ? Math.round((slidesViewed / totalSlides) * 1000) / 1000 : null;
+    row.carousel_completed = Boolean(carouselComplete);
+    row.video_percent_watched = videoPercent;
+    
+    // Ad reel taps, not counting undos
+    ENGAGEMENT_ACTIONS.forEach(action => {
+        row[`${action}_taps`] = byName('engagement').filter(event =>
+            event.params.action === action && event.params.reel_type === 'ad' &&
+            event.params.undo !== true && event.params.undo !== 'true').length;
+    });
+    
+    return row;
+}
+
+/**
+ * Build participant rows, applying the exclusion options
+ */
+function analyse(events, options = {}) {
+    const minDwellMs = options.minDwellMs !== undefined ? options.minDwellMs : MIN_DWELL_MS;
+    const participants = groupByParticipant(cleanEvents(events, options.includeDebug));
+    const rows = [];
+    const excluded = { duplicates: 0, exposure: 0 };
+    
+    participants.forEach((sessions, participantId) => {
+        if (options.excludeDuplicates && sessions.length > 1) {
+            excluded.duplicates += 1;
+            return;
+        }
+        
+        const row = summariseParticipant(participantId, sessions, minDwellMs);
+        if (options.minExposureMs && row.exposure_ms < options.minExposureMs) {
+            excluded.exposure += 1;
+            return;
+        }
+        rows.push(row);
+    });
+    
+    return { rows: rows, excluded: excluded };
+}
+
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with the union of all rows' columns (slide counts can differ between stimuli)
+ */
+function toCsv(rows) {
+    const columns = [];
+    rows.forEach(row => Object.keys(row).forEach(column => {
+        if (!columns.includes(column)) columns.push(column);
+    }));
+    
+    const lines = [columns.join(',')].concat(rows.map(row => columns.map(column => csvValue(row[column])).join(',')));
+    return lines.join('\n') + '\n';
+}
+
+function parseArgs(argv) {
+    const options = { files: [] };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const nextNumber = () => {
+            const value = Number(argv[++i]);
+            if (!Number.isFinite(value)) throw new Error(`${arg} needs a number`);
+            return value;
+        };
+        
+        if (arg === '--out') options.out = argv[++i];
+        else if (arg === '--exclude-duplicates') options.excludeDuplicates = true;
+        else if (arg === '--min-exposure-ms') options.minExposureMs = nextNumber();
+        else if (arg === '--min-dwell-ms') options.minDwellMs = nextNumber();
+        else if (arg === '--include-debug') options.includeDebug = true;
+        else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        else options.files.push(arg);
+    }
+    
+    if (options.files.length === 0) throw new Error('No input files');
+    return options;
+}
+
+function main(argv) {
+    const options = parseArgs(argv);
+    const events = options.files.reduce((all, file) => all.concat(parseLog(fs.readFileSync(file, 'utf8'), file)), []);
+    const { rows, excluded } = analyse(events, options);
+    const csv = toCsv(rows);
+    
+    if (options.out) {
+        fs.writeFileSync(options.out, csv);
+    } else {
+        process.stdout.write(csv);
+    }
+    console.error(`📊 ${rows.length} participant(s) from ${events.length} events` +
+        ` (excluded: ${excluded.duplicates} duplicate, ${excluded.exposure} low exposure)`);
+}
+
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.error('Usage: node analysis/participants.js [--out file] [--exclude-duplicates] ' +
+            '[--min-exposure-ms ms] [--min-dwell-ms ms] [--include-debug] <file...>');
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    parseLog: parseLog,
+    analyse: analyse,
+    toCsv: toCsv
+};
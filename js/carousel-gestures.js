@@ -0,0 +1,323 @@
+/**
+ * Carousel gesture and keyboard layer
+ * Drags the carousel track live under the finger/mouse, decides on release whether
+ * the swipe advanced, snapped back or hit the first/last slide, handles arrow keys
+ * and dot buttons, keeps the ARIA state and live region current, and reports to
+ * ga-carousel.js as DOM events:
+ *   carousel:swipe       - every horizontal drag, whatever its outcome
+ *   carousel:slidechange - the displayed slide changed, with its input method
+ *                          ('touch', 'mouse', 'keyboard', 'dot' or 'tap') and whether
+ *                          the participant moved it ('manual') or a timer did ('auto')
+ */
+
+(function() {
+    'use strict';
+    
+    const log = window.StudyLog;
+    
+    // Configuration
+    const TAP_SLOP_PX = 8; // Movement below this is a tap, not a swipe
+    const ADVANCE_RATIO = 0.2; // Share of the carousel width that advances on release
+    const MIN_ADVANCE_PX = 50; // Floor for the distance threshold (the old fixed threshold)
+    const FLICK_VELOCITY = 0.5; // px/ms - a fast flick advances even if it's short
+    const MIN_FLICK_PX = 20;
+    const VELOCITY_WINDOW_MS = 100; // Release velocity is measured over the last 100ms of the drag
+    const EDGE_RESISTANCE = 0.35; // Track follows the finger at this rate past the first/last slide
+    const KEY_STEPS = { ArrowRight: 1, ArrowLeft: -1 };
+    
+    const controllers = [];
+    
+    /**
+     * Initialize gestures on every rendered carousel
+     */
+    function initCarouselGestures() {
+        // Wait for the stimulus manifest to be rendered
+        if (window.Stimulus && !window.Stimulus.rendered) {
+            window.Stimulus.ready.then(initCarouselGestures);
+            return;
+        }
+        
+        document.querySelectorAll('.reel-carousel').forEach(carousel => {
+            controllers.push(createController(carousel));
+        });
+        
+        // Arrow keys also work before anything is focused, while the carousel is on screen
+        document.addEventListener('keydown', (e) => {
+            if (document.activeElement && document.activeElement !== document.body) return;
+            const controller = controllers.find(candidate => isOnScreen(candidate.carousel));
+            if (controller) {
+                handleKeyDown(controller, e);
+            }
+        });
+        
+        log.debug(`👆 Gestures ready on ${controllers.length} carousel(s)`);
+    }
+    
+    function isOnScreen(element) {
+        const rect = element.getBoundingClientRect();
+        const middle = (rect.top + rect.bottom) / 2;
+        return rect.height > 0 && middle >= 0 && middle <= window.innerHeight;
+    }
+    
+    /**
+     * Wire pointer and dot listeners for one carousel
+     */
+    function createController(carousel) {
+        const controller = {
+            carousel: carousel,
+            track: carousel.querySelector('.reel-carousel-track'),
+            slides: carousel.querySelectorAll('.reel-carousel-slide'),
+            dots: carousel.querySelectorAll('.reel-carousel-dot'),
+            status: carousel.querySelector('.reel-carousel-status'),
+            currentSlide: 0,
+            gesture: null // Active pointer gesture
+        };
+        
+        carousel.addEventListener('pointerdown', (e) => handlePointerDown(controller, e));
+        carousel.addEventListener('pointermove', (e) => handlePointerMove(controller, e));
+        carousel.addEventListener('pointerup', (e) => handlePointerEnd(controller, e, false));
+        carousel.addEventListener('pointercancel', (e) => handlePointerEnd(controller, e, true));
+        
+        // Stop the browser's image drag from stealing mouse swipes
+        carousel.addEventListener('dragstart', (e) => e.preventDefault());
+        
+        carousel.addEventListener('keydown', (e) => handleKeyDown(controller, e));
+        
+        controller.dots.forEach((dot, index) => {
+            dot.addEventListener('click', () => goToSlide(controller, index, 'jump', 'dot'));
+        });
+        
+        updateAria(controller, false);
+        
+        return controller;
+    }
+    
+    /**
+     * Arrow keys step through slides, Home/End jump to the first/last
+     */
+    function handleKeyDown(controller, e) {
+        if (e.altKey || e.ctrlKey || e.metaKey || controller.gesture) return;
+        
+        const lastSlide = controller.slides.length - 1;
+        let index;
+        if (e.key in KEY_STEPS) {
+            index = controller.currentSlide + KEY_STEPS[e.key];
+        } else if (e.key === 'Home') {
+            index = 0;
+        } else if (e.key === 'End') {
+            index = lastSlide;
+        } else {
+            return;
+        }
+        
+        e.preventDefault();
+        if (index < 0 || index > lastSlide || index === controller.currentSlide) return;
+        
+        goToSlide(controller, index, index > controller.currentSlide ? 'next' : 'prev', 'keyboard');
+    }
+    
+    /**
+     * Input method for a pointer type (pen counts as touch)
+     */
+    function pointerInputMethod(pointerType) {
+        return pointerType === 'mouse' ? 'mouse' : 'touch';
+    }
+    
+    function handlePointerDown(controller, e) {
+        if (controller.gesture || (e.pointerType === 'mouse' && e.button !== 0)) return;
+        
+        controller.gesture = {
+            pointerId: e.pointerId,
+            pointerType: e.pointerType || 'mouse',
+            startX: e.clientX,
+            startY: e.clientY,
+            startTime: Date.now(),
+            dx: 0,
+            axis: null, // 'x' once the drag is horizontal, 'y' if it's a feed scroll
+            samples: [{ x: e.clientX, t: Date.now() }]
+        };
+    }
+    
+    function handlePointerMove(controller, e) {
+        const gesture = controller.gesture;
+        if (!gesture || e.pointerId !== gesture.pointerId || gesture.axis === 'y') return;
+        
+        const dx = e.clientX - gesture.startX;
+        const dy = e.clientY - gesture.startY;
+        
+        // Lock the axis once movement clears the tap slop
+        if (!gesture.axis) {
+            if (Math.max(Math.abs(dx), Math.abs(dy)) < TAP_SLOP_PX) return;
+            gesture.axis = Math.abs(dx) > Math.abs(dy) ? 'x' : 'y';
+            if (gesture.axis === 'y') return;
+            
+            controller.track.classList.add('dragging');
+            try {
+                controller.carousel.setPointerCapture(gesture.pointerId);
+            } catch (err) {
+                // Pointer already released - the drag still works without capture
+            }
+        }
+        
+        const now = Date.now();
+        gesture.dx = dx;
+        gesture.samples.push({ x: e.clientX, t: now });
+        while (gesture.samples.length > 2 && now - gesture.samples[0].t > VELOCITY_WINDOW_MS) {
+            gesture.samples.shift();
+        }
+        
+        setTrackPosition(controller, controller.currentSlide, dragOffset(controller, dx));
+    }
+    
+    /**
+     * Finger/mouse offset, damped past the first or last slide
+     */
+    function dragOffset(controller, dx) {
+        const atStart = controller.currentSlide === 0 && dx > 0;
+        const atEnd = controller.currentSlide === controller.slides.length - 1 && dx < 0;
+        return atStart || atEnd ? dx * EDGE_RESISTANCE : dx;
+    }
+    
+    /**
+     * Release - decide the outcome, settle the track and report the gesture
+     */
+    function handlePointerEnd(controller, e, cancelled) {
+        const gesture = controller.gesture;
+        if (!gesture || e.pointerId !== gesture.pointerId) return;
+        controller.gesture = null;
+        
+        if (gesture.axis !== 'x') return; // Tap or vertical feed scroll
+        
+        controller.track.classList.remove('dragging');
+        
+        const now = Date.now();
+        const releaseX = cancelled ? gesture.samples[gesture.samples.length - 1].x : e.clientX;
+        const dx = releaseX - gesture.startX;
+        const durationMs = Math.max(1, now - gesture.startTime);
+        const width = controller.carousel.getBoundingClientRect().width;
+        const direction = dx < 0 ? 'next' : 'prev';
+        const fromSlide = controller.currentSlide;
+        const targetSlide = fromSlide + (direction === 'next' ? 1 : -1);
+        
+        // Release velocity over the last few samples (signed, px/ms)
+        const first = gesture.samples[0];
+        const releaseVelocity = now > first.t ? (releaseX - first.x) / (now - first.t) : 0;
+        
+        const passedDistance = Math.abs(dx) >= Math.max(width * ADVANCE_RATIO, MIN_ADVANCE_PX);
+        const isFlick = Math.abs(releaseVelocity) >= FLICK_VELOCITY && Math.abs(dx) >= MIN_FLICK_PX &&
+            Math.sign(releaseVelocity) === Math.sign(dx);
+        
+        let outcome;
+        if (targetSlide < 0 || targetSlide >= controller.slides.length) {
+            outcome = 'boundary';
+        } else if (!cancelled && (passedDistance || isFlick)) {
+            outcome = 'advanced';
+        } else {
+            outcome = 'snapped_back';
+        }
+        
+        const detail = {
+            outcome: outcome,
+            direction: direction,
+            fromSlide: fromSlide,
+            toSlide: outcome === 'advanced' ? targetSlide : fromSlide,
+            distancePx: Math.round(Math.abs(dx)),
+            distanceRatio: width > 0 ? Math.abs(dx) / width : null,
+            durationMs: durationMs,
+            velocity: Math.abs(dx) / durationMs, // Average px/ms
+            releaseVelocity: Math.abs(releaseVelocity),
+            pointerType: gesture.pointerType,
+            inputMethod: pointerInputMethod(gesture.pointerType),
+            cancelled: cancelled
+        };
+        
+        controller.carousel.dispatchEvent(new CustomEvent('carousel:swipe', { detail: detail }));
+        
+        if (outcome === 'advanced') {
+            goToSlide(controller, targetSlide, direction, detail.inputMethod);
+        } else {
+            setTrackPosition(controller, fromSlide, 0);
+        }
+    }
+    
+    function setTrackPosition(controller, slideIndex, offsetPx) {
+        controller.track.style.transform = offsetPx ?
+            `translateX(calc(-${slideIndex * 100}% + ${offsetPx}px))` :
+            `translateX(-${slideIndex * 100}%)`;
+    }
+    
+    /**
+     * Show a slide and announce the change
+     */
+    function goToSlide(controller, index, direction, inputMethod, advance = 'manual') {
+        const previous = controller.currentSlide;
+        controller.currentSlide = index;
+        setTrackPosition(controller, index, 0);
+        
+        if (index === previous) return;
+        
+        updateAria(controller, true);
+        
+        controller.carousel.dispatchEvent(new CustomEvent('carousel:slidechange', {
+            detail: { index: index, previous: previous, direction: direction, inputMethod: inputMethod, advance: advance }
+        }));
+    }
+    
+    /**
+     * Sync dots, hidden slides and the live region with the current slide
+     */
+    function updateAria(controller, announce) {
+        const index = controller.currentSlide;
+        
+        controller.dots.forEach((dot, dotIndex) => {
+            dot.classList.toggle('active', dotIndex === index);
+            if (dotIndex === index) {
+                dot.setAttribute('aria-current', 'true');
+            } else {
+                dot.removeAttribute('aria-current');
+            }
+        });
+        
+        controller.slides.forEach((slide, slideIndex) => {
+            slide.setAttribute('aria-hidden', String(slideIndex !== index));
+        });
+        
+        if (announce && controller.status) {
+            const media = controller.slides[index].querySelector('img, video');
+            const label = media && (media.alt || media.getAttribute('aria-label'));
+            const alt = label ? `: ${label}` : '';
+            controller.status.textContent = `Slide ${index + 1} of ${controller.slides.length}${alt}`;
+        }
+    }
+    
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initCarouselGestures);
+    } else {
+        initCarouselGestures();
+    }
+    
+    // Expose for debugging (optional)
+    window.CarouselGestures = {
+        goTo: (index, inputMethod = 'keyboard') => controllers.forEach(controller => {
+            const direction = index > controller.currentSlide ? 'next' : 'prev';
+            goToSlide(controller, index, direction, inputMethod);
+        }),
+        /**
+         * Move one carousel to a slide for another UI layer (story-mode.js taps and timer)
+         */
+        navigate: (carousel, index, inputMethod, advance = 'manual') => {
+            const controller = controllers.find(candidate => candidate.carousel === carousel);
+            if (!controller || index < 0 || index >= controller.slides.length || index === controller.currentSlide) return;
+            goToSlide(controller, index, index > controller.currentSlide ? 'next' : 'prev', inputMethod, advance);
+        },
+        getState: () => controllers.map(controller => ({
+            currentSlide: controller.currentSlide,
+            totalSlides: controller.slides.length,
+            isDragging: Boolean(controller.gesture && controller.gesture.axis === 'x')
+        })),
+        ADVANCE_RATIO: ADVANCE_RATIO,
+        FLICK_VELOCITY: FLICK_VELOCITY
+    };
+    
+})();
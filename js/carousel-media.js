@@ -0,0 +1,99 @@
+/**
+ * Carousel video slides
+ * Plays the active slide's video, muted and inline, while its reel is on screen and
+ * the page is visible; pauses it when the participant swipes away, scrolls past the
+ * reel or switches tabs. Playback resumes where it left off on return.
+ * ga-video.js tracks each slide video with its slide_index.
+ */
+
+(function() {
+    'use strict';
+    
+    const log = window.StudyLog;
+    
+    const players = [];
+    
+    /**
+     * Initialize playback for every carousel with a video slide
+     */
+    function initCarouselMedia() {
+        // Wait for the stimulus manifest to be rendered
+        if (window.Stimulus && !window.Stimulus.rendered) {
+            window.Stimulus.ready.then(initCarouselMedia);
+            return;
+        }
+        
+        document.querySelectorAll('.reel-carousel').forEach(carousel => {
+            const slides = Array.from(carousel.querySelectorAll('.reel-carousel-slide'));
+            if (!slides.some(slide => slide.querySelector('video'))) return;
+            
+            const player = {
+                carousel: carousel,
+                reel: carousel.closest('.reel'),
+                videos: slides.map(slide => slide.querySelector('video')), // null for image slides
+                currentSlide: 0,
+                isReelActive: false // Reel is on screen (between reel:impression and reel:exit)
+            };
+            players.push(player);
+            
+            carousel.addEventListener('carousel:slidechange', (e) => {
+                player.currentSlide = e.detail.index;
+                syncPlayback(player);
+            });
+            
+            if (player.reel) {
+                player.reel.addEventListener('reel:impression', () => {
+                    player.isReelActive = true;
+                    syncPlayback(player);
+                });
+                player.reel.addEventListener('reel:exit', () => {
+                    player.isReelActive = false;
+                    syncPlayback(player);
+                });
+            }
+        });
+        
+        document.addEventListener('visibilitychange', () => players.forEach(syncPlayback));
+        
+        log.debug(`🎞️ Video slides ready in ${players.length} carousel(s)`);
+    }
+    
+    /**
+     * Play the active slide's video if the reel is showing, pause every other one
+     */
+    function syncPlayback(player) {
+        player.videos.forEach((video, index) => {
+            if (!video) return;
+            
+            const shouldPlay = player.isReelActive && !document.hidden && index === player.currentSlide;
+            if (shouldPlay && video.paused && !video.ended) {
+                video.muted = true; // Autoplay is only allowed muted
+                const playback = video.play();
+                if (playback) {
+                    playback.catch((error) => {
+                        log.warn('❌ Video slide playback failed:', error);
+                    });
+                }
+            } else if (!shouldPlay && !video.paused) {
+                video.pause();
+            }
+        });
+    }
+    
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initCarouselMedia);
+    } else {
+        initCarouselMedia();
+    }
+    
+    // Expose for debugging (optional)
+    window.CarouselMedia = {
+        getState: () => players.map(player => ({
+            currentSlide: player.currentSlide,
+            isReelActive: player.isReelActive,
+            playing: player.videos.map(video => Boolean(video && !video.paused))
+        }))
+    };
+    
+})();
@@ -0,0 +1,187 @@
+/**
+ * Between-subjects condition assignment
+ * Picks the carousel, video, static or story arm from a hash of the participant ID, or from
+ * the remaining places when QUOTA_URL serves counts (or ?condition= override);
+ * js/stimulus.js renders the matching stimulus
+ */
+
+(function() {
+    'use strict';
+    
+    const log = window.StudyLog;
+    
+    // Configuration
+    const ARMS = [
+        { id: 'carousel', quota: 100 }, // quota = target participants for the arm
+        { id: 'video', quota: 100 }, // Needs the manifest's video file deployed (see README)
+        { id: 'static', quota: 100 },
+        { id: 'story', quota: 100 } // Carousel slides auto-advancing as a story (story-mode.js)
+    ];
+    const CONDITION_PARAM = 'condition'; // ?condition=video forces an arm (piloting/QA)
+    const QUOTA_URL = null; // Current counts, e.g. {"carousel": 12, "video": 9} - '/quota' on server/collector.js
+    const QUOTA_TIMEOUT_MS = 2000;
+    const ASSIGNMENT_KEY = 'study_condition'; // sessionStorage key so reloads keep the same arm
+    
+    let resolveReady;
+    
+    // Global condition state
+    window.StudyCondition = {
+        arm: null,
+        source: null, // 'override', 'session', 'hash', 'quota' or 'random'
+        arms: ARMS.map(arm => arm.id),
+        ready: new Promise(resolve => { resolveReady = resolve; })
+    };
+    
+    /**
+     * 32-bit FNV-1a hash - stable across browsers for the same participant ID
+     */
+    function hashString(value) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+    
+    function isValidArm(armId) {
+        return ARMS.some(arm => arm.id === armId);
+    }
+    
+    /**
+     * Pick an arm from a hash, weighted by each arm's quota
+     */
+    function pickWeighted(arms, hash) {
+        const totalWeight = arms.reduce((sum, arm) => sum + arm.weight, 0);
+        let bucket = hash % totalWeight;
+        
+        for (const arm of arms) {
+            if (bucket < arm.weight) return arm.id;
+            bucket -= arm.weight;
+        }
+        return arms[arms.length - 1].id;
+    }
+    
+    /**
+     * Fetch current per-arm counts from QUOTA_URL (null if not configured or unreachable)
+     */
+    function fetchQuotaCounts() {
+        if (!QUOTA_URL || typeof fetch !== 'function') {
+            return Promise.resolve(null);
+        }
+        
+        const timeout = new Promise(resolve => setTimeout(() => resolve(null), QUOTA_TIMEOUT_MS));
+        const request = fetch(QUOTA_URL, { cache: 'no-store' })
+            .then(response => response.ok ? response.json() : null)
+            .catch(() => null);
+        
+        return Promise.race([request, timeout]);
+    }
+    
+    /**
+     * Assign an arm. Without quota counts every arm is weighted by its quota;
+     * with counts, full arms are closed and open arms are weighted by remaining places.
+     */
+    function assignArm(participantId, counts) {
+        const hash = participantId ? hashString(participantId) : Math.floor(Math.random() * 0xffffffff);
+        const source = !participantId ? 'random' : (counts ? 'quota' : 'hash');
+        
+        let arms = ARMS.map(arm => ({ id: arm.id, weight: arm.quota }));
+        
+        if (counts) {
+            const open = ARMS
+                .map(arm => ({ id: arm.id, weight: arm.quota - (Number(counts[arm.id]) || 0) }))
+                .filter(arm => arm.weight > 0);
+            
+            // All quotas filled - keep assigning proportionally rather than blocking
+            if (open.length > 0) {
+                arms = open;
+            }
+        }
+        
+        return { arm: pickWeighted(arms, hash), source: source, hash: hash };
+    }
+    
+    function readStoredAssignment() {
+        try {
+            const stored = sessionStorage.getItem(ASSIGNMENT_KEY);
+            return stored && isValidArm(stored) ? stored : null;
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    function storeAssignment(armId) {
+        try {
+            sessionStorage.setItem(ASSIGNMENT_KEY, armId);
+        } catch (e) {
+            // Fail silently
+        }
+    }
+    
+    /**
+     * Resolve the participant's arm
+     */
+    function resolveCondition(participantId) {
+        const urlParams = new URLSearchParams(window.location.search);
+        const override = urlParams.get(CONDITION_PARAM);
+        
+        if (override) {
+            if (isValidArm(override)) {
+                return Promise.resolve({ arm: override, source: 'override', hash: null });
+            }
+            log.warn(`⚠️ Ignoring unknown condition override: ${override}`);
+        }
+        
+        const stored = readStoredAssignment();
+        if (stored) {
+            return Promise.resolve({ arm: stored, source: 'session', hash: null });
+        }
+        
+        return fetchQuotaCounts().then(counts => assignArm(participantId, counts));
+    }
+    
+    /**
+     * Assign condition and tag all subsequent events
+     */
+    function initCondition() {
+        const participantReady = window.StudyParticipant ?
+            window.StudyParticipant.ready :
+            Promise.resolve({ id: window.GALite && window.GALite.userId });
+        
+        participantReady.then(participant => resolveCondition(participant.id)).then(assignment => {
+            const state = window.StudyCondition;
+            state.arm = assignment.arm;
+            state.source = assignment.source;
+            
+            // Overrides are for QA - dropping ?condition= goes back to the real assignment
+            if (assignment.source !== 'override') {
+                storeAssignment(assignment.arm);
+            }
+            
+            log.info(`🧪 Condition assigned: ${assignment.arm} (${assignment.source})`);
+            
+            if (window.GALite) {
+                window.GALite.setContext({ condition: assignment.arm });
+                window.GALite.track('condition_assigned', {
+                    assignment_source: assignment.source,
+                    assignment_hash: assignment.hash
+                });
+            }
+            
+            resolveReady(state);
+        });
+    }
+    
+    // Expose assignment helpers for QA
+    window.StudyCondition.assignArm = assignArm;
+    window.StudyCondition.hashString = hashString;
+    
+    // Initialize when DOM is ready (assignment waits for the participant ID, see participant.js)
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initCondition);
+    } else {
+        initCondition();
+    }
+    
+})();
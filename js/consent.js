@@ -0,0 +1,171 @@
+/**
+ * Informed consent gate
+ * Shows the versioned consent text (#consent-modal in index.html) before anything else
+ * runs. participant.js waits for StudyConsent.ready, so the participant ID, condition,
+ * stimulus, trackers, gtag.js and Vercel insights all stay idle until the participant
+ * accepts. Declining never resolves ready - no event is queued or sent - and shows an
+ * exit screen pointing back to the recruitment platform.
+ */
+
+(function() {
+    'use strict';
+    
+    const log = window.StudyLog;
+    
+    // Configuration
+    const CONSENT_KEY = 'study_consent'; // sessionStorage key so reloads in the tab don't ask again
+    const REPLAY_PARAM = 'replay'; // ?replay=1 (replay.html) - nothing is collected, so nothing to consent to
+    const INSIGHTS_SRC = '/_vercel/insights/script.js'; // Vercel Web Analytics, loaded on accept
+    const NO_CONSENT_CODE = null; // Prolific "no consent" completion code, e.g. 'CNOC1A2B'
+    const NO_CONSENT_CODE_PARAM = 'no_consent_cc'; // ?no_consent_cc= overrides NO_CONSENT_CODE
+    const PROLIFIC_COMPLETE_URL = 'https://app.prolific.com/submissions/complete';
+    
+    // Where declining participants go, by recruitment platform (url null = close the tab)
+    const DECLINE_EXITS = {
+        prolific: {
+            url: 'https://app.prolific.com/',
+            text: 'Please go back to Prolific and return your submission so the place is released.'
+        },
+        mturk: {
+            url: 'https://worker.mturk.com/tasks',
+            text: 'Please go back to MTurk and return the HIT.'
+        },
+        sona: {
+            url: null,
+            text: 'You can close this tab. Declining does not affect your SONA credit for other studies.'
+        },
+        qualtrics: {
+            url: null,
+            text: 'You can close this tab and return to the survey window.'
+        }
+    };
+    const DEFAULT_EXIT = { url: null, text: 'You can close this tab now.' };
+    
+    let resolveReady;
+    
+    // Global consent state
+    window.StudyConsent = {
+        status: null, // 'accepted', 'declined' or 'replay'
+        version: null, // data-consent-version of the text that was shown
+        acceptedAt: null, // Date.now() when the participant accepted
+        source: null, // 'screen', or 'session' when restored from an earlier page load in this tab
+        ready: new Promise(resolve => { resolveReady = resolve; })
+    };
+    
+    function readStoredConsent(version) {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(CONSENT_KEY));
+            return stored && stored.version === version && stored.acceptedAt ? stored : null;
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    function storeConsent(consent) {
+        try {
+            sessionStorage.setItem(CONSENT_KEY, JSON.stringify(consent));
+        } catch (e) {
+            // Fail silently - a reload asks again
+        }
+    }
+    
+    /**
+     * Load Vercel Web Analytics - the inline window.va stub in index.html queues until then
+     */
+    function loadInsights() {
+        const script = document.createElement('script');
+        script.defer = true;
+        script.src = INSIGHTS_SRC;
+        document.head.appendChild(script);
+    }
+    
+    function accept(consent, source) {
+        Object.assign(window.StudyConsent, { status: 'accepted', source: source }, consent);
+        loadInsights();
+        
+        log.info(`✅ Consent ${consent.version} ${source === 'session' ? 'restored from this tab' : 'accepted'}`);
+        
+        resolveReady(window.StudyConsent);
+    }
+    
+    /**
+     * Exit for the participant's platform - Prolific goes straight to its completion
+     * page when a no-consent code is configured
+     */
+    function getDeclineExit() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const participant = window.StudyParticipant;
+        const fromUrl = participant && participant.readFromUrl ? participant.readFromUrl(urlParams) : null;
+        const platform = fromUrl ? fromUrl.platform : null;
+        
+        const noConsentCode = urlParams.get(NO_CONSENT_CODE_PARAM) || NO_CONSENT_CODE;
+        if (platform === 'prolific' && noConsentCode) {
+            return {
+                url: `${PROLIFIC_COMPLETE_URL}?cc=${encodeURIComponent(noConsentCode)}`,
+                text: 'Please continue to Prolific to finish.'
+            };
+        }
+        
+        return DECLINE_EXITS[platform] || DEFAULT_EXIT;
+    }
+    
+    /**
+     * Swap the consent text for the exit screen; ready stays pending, so nothing starts
+     */
+    function decline() {
+        window.StudyConsent.status = 'declined';
+        
+        const exit = getDeclineExit();
+        const exitLink = document.getElementById('consent-exit-link');
+        document.getElementById('consent-form').hidden = true;
+        document.getElementById('consent-declined').hidden = false;
+        document.getElementById('consent-exit-text').textContent = exit.text;
+        if (exit.url) {
+            exitLink.href = exit.url;
+            exitLink.hidden = false;
+        }
+        
+        log.info('🚪 Consent declined - nothing will be recorded');
+    }
+    
+    /**
+     * Show the consent text unless this tab already accepted the same version
+     */
+    function initConsent() {
+        const modal = document.getElementById('consent-modal');
+        const version = modal.dataset.consentVersion;
+        window.StudyConsent.version = version;
+        
+        if (new URLSearchParams(window.location.search).get(REPLAY_PARAM) === '1') {
+            window.StudyConsent.status = 'replay';
+            resolveReady(window.StudyConsent);
+            return;
+        }
+        
+        const stored = readStoredConsent(version);
+        if (stored) {
+            accept(stored, 'session');
+            return;
+        }
+        
+        document.getElementById('consent-version-label').textContent = `Consent version ${version}`;
+        document.getElementById('consent-accept').addEventListener('click', () => {
+            modal.hidden = true;
+            const consent = { version: version, acceptedAt: Date.now() };
+            storeConsent(consent);
+            accept(consent, 'screen');
+        }, { once: true });
+        document.getElementById('consent-decline').addEventListener('click', decline, { once: true });
+        
+        modal.hidden = false;
+        log.debug(`📝 Showing consent ${version}`);
+    }
+    
+    // Initialize when DOM is ready (the consent markup is at the end of index.html)
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initConsent);
+    } else {
+        initConsent();
+    }
+    
+})();
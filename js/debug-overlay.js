@@ -0,0 +1,314 @@
+/**
+ * Debug overlay (?debug=1)
+ * Draggable in-page panel with the live GALite event stream, tracker state,
+ * schema validation errors and buttons to fire test events
+ */
+
+(function() {
+    'use strict';
+    
+    const log = window.StudyLog;
+    
+    // Configuration
+    const MAX_EVENTS = 200; // Oldest events drop off the stream beyond this
+    const STATE_REFRESH_MS = 500;
+    
+    const OVERLAY_CSS = `
+        #debug-overlay {
+            position: fixed;
+            top: 10px;
+            right: 10px;
+            width: 340px;
+            max-height: 80vh;
+            display: flex;
+            flex-direction: column;
+            background: rgba(20, 20, 20, 0.92);
+            color: #eee;
+            font: 11px/1.4 ui-monospace, Menlo, Consolas, monospace;
+            border: 1px solid #444;
+            border-radius: 8px;
+            z-index: 10000;
+            box-shadow: 0 4px 20px rgba(0, 0, 0, 0.5);
+        }
+        #debug-overlay.collapsed .debug-body {
+            display: none;
+        }
+        #debug-overlay .debug-header {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            padding: 6px 8px;
+            background: #333;
+            border-radius: 8px 8px 0 0;
+            cursor: move;
+            touch-action: none;
+            user-select: none;
+        }
+        #debug-overlay .debug-title {
+            flex: 1;
+            font-weight: bold;
+        }
+        #debug-overlay .debug-body {
+            overflow-y: auto;
+            padding: 6px 8px;
+        }
+        #debug-overlay h4 {
+            margin: 8px 0 4px;
+            color: #8ab4f8;
+            font-size: 11px;
+        }
+        #debug-overlay pre {
+            margin: 0;
+            max-height: 140px;
+            overflow: auto;
+            white-space: pre-wrap;
+            word-break: break-all;
+        }
+        #debug-overlay button {
+            background: #1976d2;
+            color: #fff;
+            border: none;
+            border-radius: 4px;
+            padding: 3px 6px;
+            font: inherit;
+            cursor: pointer;
+        }
+        #debug-overlay .debug-actions {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 4px;
+        }
+        #debug-overlay .debug-events {
+            max-height: 180px;
+            overflow-y: auto;
+        }
+        #debug-overlay .debug-event {
+            padding: 2px 0;
+            border-bottom: 1px solid #333;
+            cursor: pointer;
+        }
+        #debug-overlay .debug-event.invalid {
+            color: #f28b82;
+        }
+        #debug-overlay .debug-event pre {
+            display: none;
+            color: #aaa;
+        }
+        #debug-overlay .debug-event.open pre {
+            display: block;
+        }
+        #debug-overlay .debug-errors {
+            color: #f28b82;
+        }
+    `;
+    
+    // Overlay state
+    let overlayState = {
+        element: null,
+        events: [], // { name, params, problems }
+        dragOffset: null
+    };
+    
+    /**
+     * Subscribe to events right away so nothing sent before the DOM is ready is missed
+     */
+    function initDebugOverlay() {
+        if (!window.GALite || !window.GALite.debug) return;
+        
+        window.addEventListener('galite:track', handleTrackedEvent);
+        
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', buildOverlay);
+        } else {
+            buildOverlay();
+        }
+    }
+    
+    function handleTrackedEvent(e) {
+        const problems = window.GALite.validate(e.detail.name, e.detail.params);
+        overlayState.events.push({ name: e.detail.name, params: e.detail.params, problems: problems });
+        if (overlayState.events.length > MAX_EVENTS) {
+            overlayState.events.shift();
+        }
+        
+        if (overlayState.element) {
+            appendEventRow(overlayState.events[overlayState.events.length - 1]);
+            renderErrors();
+        }
+    }
+    
+    /**
+     * Create the panel, its sections and test buttons
+     */
+    function buildOverlay() {
+        const style = document.createElement('style');
+        style.textContent = OVERLAY_CSS;
+        document.head.appendChild(style);
+        
+        const overlay = document.createElement('div');
+        overlay.id = 'debug-overlay';
+        overlay.innerHTML = `
+            <div class="debug-header">
+                <span class="debug-title">🐞 Debug · schema v${window.GALite.schemaVersion}</span>
+                <button type="button" data-debug="collapse">–</button>
+            </div>
+            <div class="debug-body">
+                <div class="debug-meta"></div>
+                <h4>Test</h4>
+                <div class="debug-actions">
+                    <button type="button" data-debug="test-event">Test event</button>
+                    <button type="button" data-debug="next-slide">Next slide</button>
+                    <button type="button" data-debug="flush">Flush queue</button>
+                    <button type="button" data-debug="unload">Simulate unload</button>
+                    <button type="button" data-debug="timeline">Download timeline</button>
+                </div>
+                <h4>Schema errors</h4>
+                <div class="debug-errors"></div>
+                <h4>Events (<span class="debug-event-count">0</span>)</h4>
+                <div class="debug-events"></div>
+                <h4>CarouselTracker.getState()</h4>
+                <pre class="debug-carousel-state"></pre>
+                <h4>VideoTracker.getState()</h4>
+                <pre class="debug-video-state"></pre>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+        overlayState.element = overlay;
+        
+        overlay.addEventListener('click', handleOverlayClick);
+        setupDragging(overlay, overlay.querySelector('.debug-header'));
+        
+        overlayState.events.forEach(appendEventRow);
+        renderErrors();
+        renderState();
+        setInterval(renderState, STATE_REFRESH_MS);
+        
+        log.info('🐞 Debug overlay ready');
+    }
+    
+    function handleOverlayClick(e) {
+        const row = e.target.closest('.debug-event');
+        if (row) {
+            row.classList.toggle('open');
+            return;
+        }
+        
+        const button = e.target.closest('[data-debug]');
+        if (!button) return;
+        
+        switch (button.dataset.debug) {
+            case 'collapse':
+                overlayState.element.classList.toggle('collapsed');
+                button.textContent = overlayState.element.classList.contains('collapsed') ? '+' : '–';
+                break;
+            case 'test-event':
+                window.GALite.track('debug_test', { label: 'overlay_button' });
+                break;
+            case 'next-slide':
+                if (window.CarouselGestures) {
+                    const state = window.CarouselGestures.getState()[0];
+                    if (state) {
+                        window.CarouselGestures.goTo((state.currentSlide + 1) % state.totalSlides, 'debug');
+                    }
+                }
+                break;
+            case 'flush':
+                window.GALite.flush();
+                break;
+            case 'timeline':
+                if (window.SessionRecorder) {
+                    window.SessionRecorder.download();
+                }
+                break;
+            case 'unload':
+                // Runs every tracker's unload handler without leaving the page
+                window.dispatchEvent(new Event('pagehide'));
+                break;
+        }
+    }
+    
+    /**
+     * Drag the panel by its header
+     */
+    function setupDragging(overlay, handle) {
+        handle.addEventListener('pointerdown', (e) => {
+            if (e.target.closest('button')) return;
+            const rect = overlay.getBoundingClientRect();
+            overlayState.dragOffset = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+            try {
+                handle.setPointerCapture(e.pointerId);
+            } catch (err) {
+                // Dragging still works without capture
+            }
+        });
+        
+        handle.addEventListener('pointermove', (e) => {
+            if (!overlayState.dragOffset) return;
+            overlay.style.left = `${Math.max(0, e.clientX - overlayState.dragOffset.x)}px`;
+            overlay.style.top = `${Math.max(0, e.clientY - overlayState.dragOffset.y)}px`;
+            overlay.style.right = 'auto';
+        });
+        
+        const endDrag = () => { overlayState.dragOffset = null; };
+        handle.addEventListener('pointerup', endDrag);
+        handle.addEventListener('pointercancel', endDrag);
+    }
+    
+    function appendEventRow(event) {
+        const list = overlayState.element.querySelector('.debug-events');
+        const row = document.createElement('div');
+        row.className = 'debug-event' + (event.problems.length > 0 ? ' invalid' : '');
+        
+        const summary = document.createElement('div');
+        summary.textContent = `#${event.params.seq} ${event.name}`;
+        const details = document.createElement('pre');
+        details.textContent = JSON.stringify(event.params, null, 1);
+        
+        row.appendChild(summary);
+        row.appendChild(details);
+        list.appendChild(row);
+        
+        while (list.children.length > MAX_EVENTS) {
+            list.removeChild(list.firstChild);
+        }
+        list.scrollTop = list.scrollHeight;
+        overlayState.element.querySelector('.debug-event-count').textContent = String(overlayState.events.length);
+    }
+    
+    function renderErrors() {
+        const errors = window.GALite.getSchemaErrors();
+        overlayState.element.querySelector('.debug-errors').textContent = errors.length === 0 ? 'None' :
+            errors.map(error => `#${error.seq} ${error.name}: ${error.problems.join('; ')}`).join('\n');
+    }
+    
+    /**
+     * Refresh tracker state (Sets shown as arrays)
+     */
+    function renderState() {
+        const format = (tracker) => {
+            if (!tracker) return 'Not loaded';
+            return JSON.stringify(tracker.getState(), (key, value) =>
+                value instanceof Set ? Array.from(value) : value, 1);
+        };
+        
+        const meta = overlayState.element.querySelector('.debug-meta');
+        meta.textContent = [
+            `participant: ${window.GALite.userId}`,
+            `session: ${window.GALite.sessionId}`,
+            `condition: ${window.StudyCondition ? window.StudyCondition.arm : '-'}`,
+            `gtag: ${window.GALite.isLoaded ? 'loaded' : window.GALite.relaying ? 'blocked, relaying' : 'queueing'} (${window.GALite.getQueue().length} queued)`,
+            `log level: ${log.getLevel()}`
+        ].join(' · ');
+        
+        overlayState.element.querySelector('.debug-carousel-state').textContent = format(window.CarouselTracker);
+        overlayState.element.querySelector('.debug-video-state').textContent = format(window.VideoTracker);
+    }
+    
+    initDebugOverlay();
+    
+    // Expose for debugging (optional)
+    window.DebugOverlay = {
+        getEvents: () => overlayState.events.slice()
+    };
+    
+})();
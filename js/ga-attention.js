@@ -0,0 +1,238 @@
+/**
+ * GA4 Attention Tracking
+ * Focus/blur, visibility and idle detection, with a per-session data-quality score
+ */
+
+(function() {
+    'use strict';
+    
+    const log = window.StudyLog;
+    
+    // Configuration
+    const IDLE_THRESHOLD_MS = 20000; // No pointer/touch/key/scroll activity for this long = idle
+    const IDLE_CHECK_INTERVAL_MS = 1000;
+    const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'touchstart', 'touchmove', 'keydown', 'wheel', 'scroll'];
+    const ACTIVITY_THROTTLE_MS = 250; // pointermove/scroll fire constantly; count at most this often
+    const MAX_LAPSES_FOR_SCORE = 5; // Lapse component reaches 0 at this many lapses
+    
+    // Quality score weights (components are reported separately so they can be re-weighted)
+    const SCORE_WEIGHTS = {
+        attentive_ratio: 0.6,
+        lapse_score: 0.25,
+        activity_score: 0.15
+    };
+    
+    // Tracking state
+    let attentionState = {
+        isStarted: false,
+        startTime: null,
+        isHidden: document.hidden,
+        isBlurred: typeof document.hasFocus === 'function' ? !document.hasFocus() : false,
+        isIdle: false,
+        lastActivity: Date.now(),
+        lastCountedActivity: 0,
+        inattentiveSince: null, // Start of the current lapse
+        inattentiveReason: null,
+        inattentiveMs: 0, // Completed lapses
+        lapses: { hidden: 0, blur: 0, idle: 0 },
+        activityCount: 0,
+        qualitySent: false
+    };
+    
+    /**
+     * Initialize attention tracking
+     */
+    function initAttentionTracking() {
+        // Wait for GALite to be available
+        if (!window.GALite) {
+            setTimeout(initAttentionTracking, 100);
+            return;
+        }
+        
+        ACTIVITY_EVENTS.forEach(type => {
+            window.addEventListener(type, handleActivity, { passive: true, capture: true });
+        });
+        window.addEventListener('focus', () => setFlag('isBlurred', false));
+        window.addEventListener('blur', () => setFlag('isBlurred', true));
+        document.addEventListener('visibilitychange', () => setFlag('isHidden', document.hidden));
+        
+        waitForTapToStart();
+    }
+    
+    /**
+     * Wait for tap-to-start - attention is measured over the exposure only
+     */
+    function waitForTapToStart() {
+        const tapOverlay = document.getElementById('tap-to-start-overlay');
+        if (!tapOverlay || tapOverlay.classList.contains('hidden') ||
+            window.getComputedStyle(tapOverlay).display === 'none') {
+            startAttentionTracking();
+            return;
+        }
+        
+        tapOverlay.addEventListener('click', startAttentionTracking, { once: true });
+    }
+    
+    function startAttentionTracking() {
+        if (attentionState.isStarted) return;
+        
+        const now = Date.now();
+        attentionState.isStarted = true;
+        attentionState.startTime = now;
+        attentionState.lastActivity = now;
+        
+        log.debug('🧠 Attention tracking started');
+        
+        setInterval(checkIdle, IDLE_CHECK_INTERVAL_MS);
+        updateAttention();
+    }
+    
+    /**
+     * Record participant activity (throttled) and end any idle period
+     */
+    function handleActivity() {
+        const now = Date.now();
+        attentionState.lastActivity = now;
+        
+        if (now - attentionState.lastCountedActivity >= ACTIVITY_THROTTLE_MS) {
+            attentionState.lastCountedActivity = now;
+            if (attentionState.isStarted) {
+                attentionState.activityCount += 1;
+            }
+        }
+        
+        if (attentionState.isIdle) {
+            setFlag('isIdle', false);
+        }
+    }
+    
+    function checkIdle() {
+        if (!attentionState.isIdle && Date.now() - attentionState.lastActivity >= IDLE_THRESHOLD_MS) {
+            setFlag('isIdle', true);
+        }
+    }
+    
+    function setFlag(flag, value) {
+        if (attentionState[flag] === value) return;
+        attentionState[flag] = value;
+        updateAttention();
+    }
+    
+    /**
+     * Main reason the participant is inattentive right now (null if attentive)
+     */
+    function getInattentiveReason() {
+        if (attentionState.isHidden) return 'hidden';
+        if (attentionState.isBlurred) return 'blur';
+        if (attentionState.isIdle) return 'idle';
+        return null;
+    }
+    
+    /**
+     * Open or close a lapse after any state change
+     */
+    function updateAttention() {
+        if (!attentionState.isStarted) return;
+        
+        const now = Date.now();
+        const reason = getInattentiveReason();
+        
+        if (reason && attentionState.inattentiveSince === null) {
+            attentionState.inattentiveSince = now;
+            attentionState.inattentiveReason = reason;
+            attentionState.lapses[reason] += 1;
+            log.debug(`🧠 Attention lapse started (${reason})`);
+        } else if (!reason && attentionState.inattentiveSince !== null) {
+            const lapseMs = now - attentionState.inattentiveSince;
+            attentionState.inattentiveMs += lapseMs;
+            attentionState.inattentiveSince = null;
+            
+            log.debug(`🧠 Attention lapse ended after ${lapseMs}ms`);
+            
+            window.GALite.track('attention_lapse', {
+                reason: attentionState.inattentiveReason,
+                lapse_ms: lapseMs
+            });
+            attentionState.inattentiveReason = null;
+        }
+    }
+    
+    /**
+     * Total inattentive time so far, including a lapse in progress
+     */
+    function getInattentiveMs() {
+        const running = attentionState.inattentiveSince !== null ? Date.now() - attentionState.inattentiveSince : 0;
+        return attentionState.inattentiveMs + running;
+    }
+    
+    /**
+     * Score the session from 0 to 100 with its components
+     */
+    function getSessionQuality() {
+        const sessionMs = attentionState.startTime ? Date.now() - attentionState.startTime : 0;
+        const inattentiveMs = getInattentiveMs();
+        const totalLapses = attentionState.lapses.hidden + attentionState.lapses.blur + attentionState.lapses.idle;
+        
+        const components = {
+            attentive_ratio: sessionMs > 0 ? Math.max(0, (sessionMs - inattentiveMs) / sessionMs) : 0,
+            lapse_score: Math.max(0, 1 - totalLapses / MAX_LAPSES_FOR_SCORE),
+            activity_score: attentionState.activityCount > 0 ? 1 : 0
+        };
+        
+        const score = Object.keys(SCORE_WEIGHTS)
+            .reduce((sum, key) => sum + SCORE_WEIGHTS[key] * components[key], 0);
+        
+        return {
+            score: Math.round(score * 100),
+            components: components,
+            sessionMs: sessionMs,
+            inattentiveMs: inattentiveMs,
+            totalLapses: totalLapses
+        };
+    }
+    
+    /**
+     * Handle page unload - send the session quality score once
+     */
+    function handlePageUnload() {
+        if (!attentionState.isStarted || attentionState.qualitySent) return;
+        attentionState.qualitySent = true;
+        
+        const quality = getSessionQuality();
+        
+        log.info(`🧠 Session quality: ${quality.score}`);
+        
+        window.GALite.track('session_quality', {
+            quality_score: quality.score,
+            attentive_ratio: Math.round(quality.components.attentive_ratio * 1000) / 1000,
+            lapse_score: quality.components.lapse_score,
+            activity_score: quality.components.activity_score,
+            session_ms: quality.sessionMs,
+            inattentive_ms: quality.inattentiveMs,
+            hidden_lapses: attentionState.lapses.hidden,
+            blur_lapses: attentionState.lapses.blur,
+            idle_lapses: attentionState.lapses.idle,
+            activity_count: attentionState.activityCount,
+            idle_threshold_ms: IDLE_THRESHOLD_MS
+        });
+    }
+    
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initAttentionTracking);
+    } else {
+        initAttentionTracking();
+    }
+    
+    window.addEventListener('pagehide', handlePageUnload);
+    
+    // Expose inattentive time for the other trackers and debugging
+    window.AttentionTracker = {
+        getInattentiveMs: getInattentiveMs,
+        isAttentive: () => getInattentiveReason() === null,
+        getSessionQuality: getSessionQuality,
+        getState: () => ({ ...attentionState, lapses: { ...attentionState.lapses } }),
+        IDLE_THRESHOLD_MS: IDLE_THRESHOLD_MS
+    };
+    
+})();
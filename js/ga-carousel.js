@@ -6,17 +6,53 @@
 (function() {
     'use strict';
     
+    const log = window.StudyLog;
+    
     // Configuration
     const MIN_DWELL_MS = 2000; // Minimum dwell time to count as "viewed"
     
+    // Session lifecycle: idle → active ⇄ paused → finalized
+    //   start:    idle → active (carousel_start)
+    //   pause:    active → paused when the page is hidden (carousel_pause)
+    //   resume:   paused → active when it's visible again (carousel_resume)
+    //   finalize: active/paused → finalized on unload (dwell_end + exactly one carousel_complete)
+    const LIFECYCLE = {
+        IDLE: 'idle',
+        ACTIVE: 'active',
+        PAUSED: 'paused',
+        FINALIZED: 'finalized'
+    };
+    
     // Tracking state
     let carouselState = {
+        carouselId: null, // From the stimulus manifest
+        studyId: null, // From the stimulus manifest
+        lifecycle: LIFECYCLE.IDLE,
         isStarted: false,
         totalSlides: 0,
         currentSlide: 0,
-        slideStartTime: null,
+        slideStartTime: null, // Start of the current dwell segment (null while paused)
+        slideDwellMs: 0, // Closed segments of the current slide visit
+        slideViewableMs: 0,
+        slideAttentiveMs: 0,
+        slideSegments: 0, // Segments in the current slide visit
+        segmentViewableStart: 0, // Slide's viewable ms when the segment started (see ga-viewability.js)
+        segmentInattentiveStart: 0, // Session inattentive ms when the segment started (see ga-attention.js)
         slideViewedFlags: [], // Track which slides have been viewed long enough
+        slideTypes: [], // 'image' or 'video' per slide
+        slideIds: [], // Creative id per displayed position (the order is counterbalanced, see stimulus.js)
+        slideOrderMode: null,
         totalDwellTime: 0,
+        totalViewableTime: 0, // Dwell time the slide was actually MRC-in-view
+        totalAttentiveTime: 0, // Dwell time minus blurred/idle time
+        totalSegments: 0,
+        pauseCount: 0,
+        swipeAttempts: 0,
+        swipeOutcomes: {}, // Swipe attempts per outcome
+        inputMethods: {}, // Slide changes per input method
+        advanceTypes: {}, // Slide changes per advance type ('auto' from the story timer, 'manual')
+        storyPauses: 0, // Press-and-hold pauses in the story arm
+        isStoryHeld: false, // A tracked story_pause is waiting for its story_resume
         slideHistory: [] // Track all slide visits with dwell times
     };
     
@@ -30,17 +66,33 @@
             return;
         }
         
+        // Wait for the stimulus manifest to be rendered
+        if (window.Stimulus && !window.Stimulus.rendered) {
+            window.Stimulus.ready.then(initCarouselTracking);
+            return;
+        }
+        
         // Find carousel slides (adapt to existing structure)
         const slides = document.querySelectorAll('.reel-carousel-slide');
         if (slides.length === 0) {
-            console.log('❌ No reel carousel slides found');
+            log.warn('❌ No reel carousel slides found');
             return; // No carousel found
         }
         
+        // Read tracking IDs from the stimulus manifest
+        const manifest = window.Stimulus && window.Stimulus.manifest;
+        if (manifest) {
+            carouselState.carouselId = manifest.carousel_id;
+            carouselState.studyId = manifest.study_id;
+            carouselState.slideOrderMode = window.Stimulus.slideOrderMode;
+        }
+        
         carouselState.totalSlides = slides.length;
         carouselState.slideViewedFlags = new Array(slides.length).fill(false);
+        carouselState.slideTypes = Array.from(slides, slide => slide.dataset.slideType || 'image');
+        carouselState.slideIds = Array.from(slides, slide => slide.dataset.slideId || null);
         
-        console.log(`🎠 Initialized reel carousel with ${slides.length} slides`);
+        log.debug(`🎠 Initialized reel carousel with ${slides.length} slides`);
         
         // Set up navigation button listeners
         setupNavigationListeners();
@@ -50,13 +102,21 @@
     }
     
     /**
-     * Wait for tap-to-start before beginning carousel tracking
+     * Wait for tap-to-start (or the ad reel's feed impression) before beginning carousel tracking
      */
     function waitForTapToStart() {
+        // In the Reels feed, start only once the ad reel has scrolled into view
+        const adReel = document.querySelector('.reel-carousel').closest('.reel');
+        if (window.FeedTracker && window.FeedTracker.isSupported && adReel) {
+            log.debug('🎠 Waiting for ad reel impression...');
+            adReel.addEventListener('reel:impression', startCarouselTracking, { once: true });
+            return;
+        }
+        
         const tapOverlay = document.getElementById('tap-to-start-overlay');
         if (!tapOverlay) {
             // No tap-to-start overlay, begin tracking immediately
-            console.log('🎠 No tap overlay, starting tracking immediately');
+            log.debug('🎠 No tap overlay, starting tracking immediately');
             startCarouselTracking();
             return;
         }
@@ -64,12 +124,12 @@
         // Check if overlay is already hidden
         if (tapOverlay.classList.contains('hidden') || 
             window.getComputedStyle(tapOverlay).display === 'none') {
-            console.log('🎠 Tap overlay already hidden, starting tracking');
+            log.debug('🎠 Tap overlay already hidden, starting tracking');
             startCarouselTracking();
             return;
         }
         
-        console.log('🎠 Waiting for tap-to-start...');
+        log.debug('🎠 Waiting for tap-to-start...');
         // Wait for tap-to-start click
         tapOverlay.addEventListener('click', startCarouselTracking, { once: true });
     }
@@ -78,60 +138,227 @@
      * Start carousel tracking after tap-to-start
      */
     function startCarouselTracking() {
-        console.log('🎠 Starting carousel tracking...');
+        if (carouselState.lifecycle !== LIFECYCLE.IDLE) return;
+        
+        log.debug('🎠 Starting carousel tracking...');
         trackCarouselStart();
-        trackSlideView(0, 'start');
-        carouselState.slideStartTime = Date.now();
+        trackSlideView(0, 'start', null, null);
+        startSlideVisit(Date.now());
+        
+        // Started while hidden (e.g. impression fired as the tab was switched)
+        if (document.hidden) {
+            pauseCarousel();
+        }
     }
     
     /**
      * Track carousel start event
      */
     function trackCarouselStart() {
-        if (!carouselState.isStarted) {
-            carouselState.isStarted = true;
-            console.log('🎠 Reel Carousel started');
-            
-            window.GALite.track('carousel_start', {
-                carousel_id: 'reel_carousel_1',
-                carousel_type: 'reel_carousel',
-                total_slides: carouselState.totalSlides,
-                study_id: 'instagram_study'
-            });
-        }
+        carouselState.isStarted = true;
+        carouselState.lifecycle = LIFECYCLE.ACTIVE;
+        log.debug('🎠 Reel Carousel started');
+        
+        window.GALite.track('carousel_start', {
+            carousel_id: carouselState.carouselId,
+            carousel_type: 'reel_carousel',
+            total_slides: carouselState.totalSlides,
+            slide_order: carouselState.slideIds.join(','),
+            slide_order_mode: carouselState.slideOrderMode,
+            study_id: carouselState.studyId
+        });
+    }
+    
+    /**
+     * Page hidden - close the current dwell segment
+     */
+    function pauseCarousel() {
+        if (carouselState.lifecycle !== LIFECYCLE.ACTIVE) return;
+        
+        endSegment(Date.now());
+        carouselState.lifecycle = LIFECYCLE.PAUSED;
+        carouselState.pauseCount += 1;
+        
+        log.debug(`⏸️ Reel Carousel paused on slide ${carouselState.currentSlide}`);
+        
+        window.GALite.track('carousel_pause', {
+            carousel_id: carouselState.carouselId,
+            carousel_type: 'reel_carousel',
+            slide_index: carouselState.currentSlide,
+            slide_dwell_ms: carouselState.slideDwellMs,
+            ...segmentCounts(),
+            study_id: carouselState.studyId
+        });
+    }
+    
+    /**
+     * Page visible again - open a new dwell segment on the same slide
+     */
+    function resumeCarousel() {
+        if (carouselState.lifecycle !== LIFECYCLE.PAUSED) return;
+        
+        carouselState.lifecycle = LIFECYCLE.ACTIVE;
+        startSegment(Date.now());
+        
+        log.debug(`▶️ Reel Carousel resumed on slide ${carouselState.currentSlide}`);
+        
+        window.GALite.track('carousel_resume', {
+            carousel_id: carouselState.carouselId,
+            carousel_type: 'reel_carousel',
+            slide_index: carouselState.currentSlide,
+            ...segmentCounts(),
+            study_id: carouselState.studyId
+        });
+    }
+    
+    /**
+     * Page unloading - close the last slide visit and send the single carousel_complete
+     */
+    function finalizeCarousel() {
+        if (carouselState.lifecycle !== LIFECYCLE.ACTIVE && carouselState.lifecycle !== LIFECYCLE.PAUSED) return;
+        
+        endSlideVisit(Date.now());
+        carouselState.lifecycle = LIFECYCLE.FINALIZED;
+        trackCarouselComplete();
+    }
+    
+    /**
+     * Segment counts carried by every lifecycle event
+     */
+    function segmentCounts() {
+        return {
+            segment_count: carouselState.slideSegments,
+            total_segments: carouselState.totalSegments,
+            pause_count: carouselState.pauseCount
+        };
     }
     
     /**
-     * Track slide view event
+     * Track slide view event (input method and advance type are null for the initial view)
      */
-    function trackSlideView(slideIndex, direction = 'unknown') {
-        console.log(`👁️ Reel Slide ${slideIndex} viewed (${direction})`);
+    function trackSlideView(slideIndex, direction = 'unknown', inputMethod = null, advance = 'manual') {
+        log.debug(`👁️ Reel Slide ${slideIndex} viewed (${direction}, ${inputMethod})`);
         
         window.GALite.track('slide_view', {
-            carousel_id: 'reel_carousel_1',
+            carousel_id: carouselState.carouselId,
             carousel_type: 'reel_carousel',
-            slide_index: slideIndex,
+            slide_index: slideIndex, // Displayed position
+            slide_id: carouselState.slideIds[slideIndex], // Creative shown there
+            slide_type: carouselState.slideTypes[slideIndex],
             total_slides: carouselState.totalSlides,
             direction: direction,
-            study_id: 'instagram_study'
+            input_method: inputMethod, // 'touch', 'mouse', 'keyboard', 'dot', 'tap' ('debug' from the overlay)
+            advance_type: advance, // 'auto' (story timer) or 'manual'
+            study_id: carouselState.studyId
         });
         
         carouselState.currentSlide = slideIndex;
+        if (inputMethod) {
+            carouselState.inputMethods[inputMethod] = (carouselState.inputMethods[inputMethod] || 0) + 1;
+        }
+        if (advance) {
+            carouselState.advanceTypes[advance] = (carouselState.advanceTypes[advance] || 0) + 1;
+        }
     }
     
     /**
-     * Track dwell end event when leaving a slide
+     * Start dwell timing for a new visit to the current slide
      */
-    function trackDwellEnd(slideIndex, dwellMs) {
+    function startSlideVisit(now) {
+        if (carouselState.lifecycle === LIFECYCLE.ACTIVE) {
+            startSegment(now);
+        }
+    }
+    
+    function startSegment(now) {
+        carouselState.slideStartTime = now;
+        carouselState.segmentViewableStart = getSlideViewableMs(carouselState.currentSlide);
+        carouselState.segmentInattentiveStart = getInattentiveMs();
+        carouselState.slideSegments += 1;
+        carouselState.totalSegments += 1;
+    }
+    
+    /**
+     * Close the open dwell segment and add it to the slide visit
+     */
+    function endSegment(now) {
+        if (carouselState.slideStartTime === null) return;
+        
+        const segmentMs = now - carouselState.slideStartTime;
+        
+        // Viewable share of this segment - raw dwell counts time the slide wasn't on screen
+        const viewableMs = Math.min(segmentMs,
+            Math.max(0, getSlideViewableMs(carouselState.currentSlide) - carouselState.segmentViewableStart));
+        
+        // Attentive share - segment minus time the window was blurred or idle
+        const attentiveMs = Math.max(0,
+            segmentMs - Math.max(0, getInattentiveMs() - carouselState.segmentInattentiveStart));
+        
+        carouselState.slideDwellMs += segmentMs;
+        carouselState.slideViewableMs += viewableMs;
+        carouselState.slideAttentiveMs += attentiveMs;
+        carouselState.slideStartTime = null;
+    }
+    
+    /**
+     * Close the current slide visit and track its dwell
+     */
+    function endSlideVisit(now) {
+        endSegment(now);
+        
+        if (carouselState.slideSegments > 0) {
+            trackDwellEnd(carouselState.currentSlide);
+        }
+        
+        carouselState.slideDwellMs = 0;
+        carouselState.slideViewableMs = 0;
+        carouselState.slideAttentiveMs = 0;
+        carouselState.slideSegments = 0;
+    }
+    
+    /**
+     * Dwell of the current slide visit so far, open segment included
+     */
+    function getCurrentDwellMs() {
+        const running = carouselState.slideStartTime !== null ? Date.now() - carouselState.slideStartTime : 0;
+        return carouselState.slideDwellMs + running;
+    }
+    
+    /**
+     * Get a slide's total in-view time from the viewability tracker (0 if unavailable)
+     */
+    function getSlideViewableMs(slideIndex) {
+        return window.ViewabilityTracker ? window.ViewabilityTracker.getSlideViewableMs(slideIndex) : 0;
+    }
+    
+    /**
+     * Get session inattentive time from the attention tracker (0 if unavailable)
+     */
+    function getInattentiveMs() {
+        return window.AttentionTracker ? window.AttentionTracker.getInattentiveMs() : 0;
+    }
+    
+    /**
+     * Track dwell end event when leaving a slide (dwell excludes time the page was hidden)
+     */
+    function trackDwellEnd(slideIndex) {
+        const dwellMs = carouselState.slideDwellMs;
+        const viewableMs = carouselState.slideViewableMs;
+        const attentiveMs = carouselState.slideAttentiveMs;
+        
         // Track ALL dwell times (removed minimum threshold to capture brief interactions)
-        console.log(`⏱️ Reel Slide ${slideIndex} dwell end: ${dwellMs}ms`);
+        log.debug(`⏱️ Reel Slide ${slideIndex} dwell end: ${dwellMs}ms (${viewableMs}ms viewable)`);
         
         window.GALite.track('dwell_end', {
-            carousel_id: 'reel_carousel_1',
+            carousel_id: carouselState.carouselId,
             carousel_type: 'reel_carousel',
             slide_index: slideIndex,
+            slide_id: carouselState.slideIds[slideIndex],
             dwell_ms: dwellMs,
-            study_id: 'instagram_study'
+            viewable_ms: viewableMs,
+            attentive_ms: attentiveMs,
+            ...segmentCounts(),
+            study_id: carouselState.studyId
         });
         
         // Mark slide as viewed if they spent reasonable time (keep this for completion logic)
@@ -141,11 +368,17 @@
         
         // Add to total dwell time
         carouselState.totalDwellTime += dwellMs;
+        carouselState.totalViewableTime += viewableMs;
+        carouselState.totalAttentiveTime += attentiveMs;
         
         // Store in history
         carouselState.slideHistory.push({
             slideIndex: slideIndex,
+            slideId: carouselState.slideIds[slideIndex],
             dwellMs: dwellMs,
+            viewableMs: viewableMs,
+            attentiveMs: attentiveMs,
+            segments: carouselState.slideSegments,
             timestamp: Date.now()
         });
     }
@@ -153,162 +386,160 @@
     /**
      * Handle slide change
      */
-    function handleSlideChange(newSlideIndex, direction) {
+    function handleSlideChange(newSlideIndex, direction, inputMethod, advance) {
+        // Not tracking before the carousel starts or after the session is finalized
+        if (carouselState.lifecycle === LIFECYCLE.IDLE || carouselState.lifecycle === LIFECYCLE.FINALIZED) {
+            carouselState.currentSlide = newSlideIndex;
+            return;
+        }
+        
         const now = Date.now();
         
-        console.log(`🔄 Slide change: ${carouselState.currentSlide} → ${newSlideIndex} (${direction})`);
+        log.debug(`🔄 Slide change: ${carouselState.currentSlide} → ${newSlideIndex} (${direction})`);
         
-        // Calculate dwell time for previous slide
-        if (carouselState.slideStartTime !== null) {
-            const dwellMs = now - carouselState.slideStartTime;
-            trackDwellEnd(carouselState.currentSlide, dwellMs);
-        }
+        // Close dwell for previous slide
+        endSlideVisit(now);
         
         // Track new slide view
-        trackSlideView(newSlideIndex, direction);
+        trackSlideView(newSlideIndex, direction, inputMethod, advance);
         
         // Update state
-        carouselState.slideStartTime = now;
+        startSlideVisit(now);
     }
     
     /**
-     * Track carousel completion
+     * Track carousel completion (once per session, from finalizeCarousel)
      */
     function trackCarouselComplete() {
-        // Calculate final dwell time for current slide
-        if (carouselState.slideStartTime !== null) {
-            const dwellMs = Date.now() - carouselState.slideStartTime;
-            trackDwellEnd(carouselState.currentSlide, dwellMs);
-            carouselState.slideStartTime = null;
-        }
-        
-        // Calculate completion metrics
         const viewedSlides = carouselState.slideViewedFlags.filter(Boolean).length;
-        const completionRate = (viewedSlides / carouselState.totalSlides) * 100;
-        const allViewed = carouselState.slideViewedFlags.every(viewed => viewed);
         
-        console.log(`✅ Reel Carousel completed - ${viewedSlides}/${carouselState.totalSlides} slides viewed`);
+        log.info(`✅ Reel Carousel completed - ${viewedSlides}/${carouselState.totalSlides} slides viewed`);
         
+        // Kept within GA4's 25 parameters per event (ga-schema.js) - completion rate and
+        // all-viewed follow from slides_viewed/total_slides, and the swipe outcome and
+        // advance tallies are folded into strings
         window.GALite.track('carousel_complete', {
-            carousel_id: 'reel_carousel_1',
-            carousel_type: 'reel_carousel',
+            carousel_id: carouselState.carouselId,
             slides_viewed: viewedSlides,
             total_slides: carouselState.totalSlides,
-            completion_rate: Math.round(completionRate),
             total_dwell_ms: carouselState.totalDwellTime,
-            all_viewed: allViewed,
-            study_id: 'instagram_study'
+            total_viewable_ms: carouselState.totalViewableTime,
+            total_attentive_ms: carouselState.totalAttentiveTime,
+            total_segments: carouselState.totalSegments,
+            pause_count: carouselState.pauseCount,
+            swipe_attempts: carouselState.swipeAttempts,
+            swipe_outcomes: `snapped_back:${carouselState.swipeOutcomes.snapped_back || 0},` +
+                `boundary:${carouselState.swipeOutcomes.boundary || 0}`,
+            input_methods: Object.keys(carouselState.inputMethods).sort().join(','),
+            advances: `auto:${carouselState.advanceTypes.auto || 0},manual:${carouselState.advanceTypes.manual || 0}`,
+            story_pauses: carouselState.storyPauses,
+            study_id: carouselState.studyId
         });
     }
     
     /**
-     * Set up navigation listeners for existing carousel system
+     * Listen for slide changes and swipes from the gesture layer (carousel-gestures.js)
      */
     function setupNavigationListeners() {
-        console.log('🔧 Setting up navigation listeners...');
-        
-        // Hook into existing carousel system by observing the carousel track transform
-        const track = document.querySelector('.reel-carousel-track');
-        if (track) {
-            console.log('✅ Found reel carousel track');
-            // Use MutationObserver to detect transform changes
-            const observer = new MutationObserver((mutations) => {
-                mutations.forEach((mutation) => {
-                    if (mutation.type === 'attributes' && mutation.attributeName === 'style') {
-                        detectSlideChange();
-                    }
-                });
-            });
-            
-            observer.observe(track, { 
-                attributes: true, 
-                attributeFilter: ['style'] 
-            });
-        } else {
-            console.log('❌ Reel carousel track not found');
-        }
-        
-        // Also listen for touchend events to detect swipes
         const carousel = document.querySelector('.reel-carousel');
-        if (carousel) {
-            console.log('✅ Found reel carousel container');
-            let lastSlideIndex = 0;
-            
-            carousel.addEventListener('touchend', () => {
-                // Small delay to let the animation start
-                setTimeout(() => {
-                    const currentSlideIndex = getCurrentSlideIndex();
-                    if (currentSlideIndex !== lastSlideIndex) {
-                        const direction = currentSlideIndex > lastSlideIndex ? 'next' : 'prev';
-                        handleSlideChange(currentSlideIndex, direction);
-                        lastSlideIndex = currentSlideIndex;
-                    }
-                }, 50);
-            });
-        } else {
-            console.log('❌ Reel carousel container not found');
+        if (!carousel) {
+            log.warn('❌ Reel carousel container not found');
+            return;
         }
         
-        // Listen for dot clicks
-        const dots = document.querySelectorAll('.reel-carousel-dot');
-        console.log(`✅ Found ${dots.length} carousel dots`);
-        dots.forEach((dot, index) => {
-            dot.addEventListener('click', () => {
-                console.log(`🔘 Dot ${index} clicked`);
-                setTimeout(() => {
-                    handleSlideChange(index, 'jump');
-                }, 50);
-            });
+        carousel.addEventListener('carousel:slidechange', (e) => {
+            handleSlideChange(e.detail.index, e.detail.direction, e.detail.inputMethod, e.detail.advance || 'manual');
+        });
+        
+        carousel.addEventListener('carousel:swipe', (e) => {
+            trackSwipeAttempt(e.detail);
+        });
+        
+        // Story arm only (story-mode.js)
+        carousel.addEventListener('story:pause', (e) => {
+            trackStoryPause(e.detail);
+        });
+        
+        carousel.addEventListener('story:resume', (e) => {
+            trackStoryResume(e.detail);
         });
     }
     
     /**
-     * Get current slide index from carousel transform
+     * Track a press-and-hold pause of the story timer
      */
-    function getCurrentSlideIndex() {
-        const track = document.querySelector('.reel-carousel-track');
-        if (!track) return 0;
-        
-        const transform = track.style.transform;
-        if (!transform) return 0;
-        
-        // Extract translateX value and calculate slide index
-        const match = transform.match(/translateX\((-?\d+(?:\.\d+)?)%\)/);
-        if (match) {
-            const translatePercent = parseFloat(match[1]);
-            return Math.round(Math.abs(translatePercent) / 100);
-        }
+    function trackStoryPause(pause) {
+        if (carouselState.lifecycle === LIFECYCLE.IDLE || carouselState.lifecycle === LIFECYCLE.FINALIZED) return;
+        
+        carouselState.storyPauses += 1;
+        carouselState.isStoryHeld = true;
+        
+        window.GALite.track('story_pause', {
+            carousel_id: carouselState.carouselId,
+            carousel_type: 'reel_carousel',
+            slide_index: pause.index,
+            slide_elapsed_ms: Math.round(pause.elapsedMs),
+            story_pause_count: carouselState.storyPauses,
+            study_id: carouselState.studyId
+        });
+    }
+    
+    /**
+     * Track the end of a hold - only for pauses that were tracked
+     */
+    function trackStoryResume(resume) {
+        if (!carouselState.isStoryHeld) return;
+        carouselState.isStoryHeld = false;
+        if (carouselState.lifecycle === LIFECYCLE.FINALIZED) return;
         
-        return 0;
+        window.GALite.track('story_resume', {
+            carousel_id: carouselState.carouselId,
+            carousel_type: 'reel_carousel',
+            slide_index: resume.index,
+            pause_ms: resume.pauseMs,
+            story_pause_count: carouselState.storyPauses,
+            study_id: carouselState.studyId
+        });
     }
     
     /**
-     * Detect slide change by checking transform
+     * Track every horizontal swipe - advanced, snapped back or stopped at the first/last slide
      */
-    function detectSlideChange() {
-        const currentSlideIndex = getCurrentSlideIndex();
+    function trackSwipeAttempt(swipe) {
+        if (carouselState.lifecycle === LIFECYCLE.IDLE || carouselState.lifecycle === LIFECYCLE.FINALIZED) return;
         
-        // If we detected a different slide than current, update
-        if (currentSlideIndex !== carouselState.currentSlide) {
-            const direction = currentSlideIndex > carouselState.currentSlide ? 'next' : 'prev';
-            handleSlideChange(currentSlideIndex, direction);
-        }
+        carouselState.swipeOutcomes[swipe.outcome] = (carouselState.swipeOutcomes[swipe.outcome] || 0) + 1;
+        carouselState.swipeAttempts += 1;
+        
+        log.debug(`👆 Swipe ${swipe.direction} on slide ${swipe.fromSlide}: ${swipe.outcome} (${swipe.distancePx}px, ${swipe.durationMs}ms)`);
+        
+        // No carousel_type or total_slides (on carousel_start) - keeps it within GA4's 25 parameters
+        window.GALite.track('swipe_attempt', {
+            carousel_id: carouselState.carouselId,
+            outcome: swipe.outcome, // 'advanced', 'snapped_back' or 'boundary'
+            direction: swipe.direction,
+            from_slide: swipe.fromSlide,
+            to_slide: swipe.toSlide,
+            distance_px: swipe.distancePx,
+            distance_ratio: swipe.distanceRatio !== null ? Math.round(swipe.distanceRatio * 1000) / 1000 : null,
+            duration_ms: swipe.durationMs,
+            velocity_px_ms: Math.round(swipe.velocity * 1000) / 1000,
+            release_velocity_px_ms: Math.round(swipe.releaseVelocity * 1000) / 1000,
+            pointer_type: swipe.pointerType,
+            cancelled: swipe.cancelled,
+            attempt_number: carouselState.swipeAttempts,
+            study_id: carouselState.studyId
+        });
     }
     
     /**
      * Handle page unload - track final dwell time
      */
     function handlePageUnload() {
-        console.log('📤 Page unloading, tracking final dwell time...');
-        if (carouselState.slideStartTime !== null) {
-            const dwellMs = Date.now() - carouselState.slideStartTime;
-            trackDwellEnd(carouselState.currentSlide, dwellMs);
-        }
+        if (carouselState.lifecycle === LIFECYCLE.FINALIZED) return;
         
-        // Only track completion if carousel was actually started
-        if (carouselState.isStarted) {
-            trackCarouselComplete();
-        }
+        log.debug('📤 Page unloading, tracking final dwell time...');
+        finalizeCarousel();
     }
     
     // Initialize when DOM is ready
@@ -322,17 +553,20 @@
     window.addEventListener('beforeunload', handlePageUnload);
     window.addEventListener('pagehide', handlePageUnload);
     
-    // Handle visibility changes (tab switch, etc.)
+    // Handle visibility changes (tab switch, etc.) - pause/resume, never complete
     document.addEventListener('visibilitychange', () => {
         if (document.hidden) {
-            console.log('👁️ Page hidden, tracking dwell time...');
-            handlePageUnload();
+            pauseCarousel();
+        } else {
+            resumeCarousel();
         }
     });
     
     // Expose for debugging (optional)
     window.CarouselTracker = {
         getState: () => ({ ...carouselState }),
+        getCurrentDwellMs: getCurrentDwellMs,
+        LIFECYCLE: LIFECYCLE,
         MIN_DWELL_MS: MIN_DWELL_MS
     };
     
@@ -0,0 +1,200 @@
+/**
+ * GA4 Engagement Tracking
+ * Like/comment/share/more/follow taps with toggled UI state
+ */
+
+(function() {
+    'use strict';
+    
+    const log = window.StudyLog;
+    
+    // Configuration
+    const TOGGLE_ACTIONS = ['like', 'follow']; // Second tap undoes these
+    const POP_ANIMATION_MS = 300;
+    
+    // Tracking state
+    let engagementState = {
+        reels: {}, // Per reel position: { liked, following, likeCount, likeCountStyle }
+        counts: {}, // Taps per action, undo taps included
+        totalTaps: 0
+    };
+    
+    /**
+     * Initialize engagement tracking
+     */
+    function initEngagementTracking() {
+        // Wait for GALite to be available
+        if (!window.GALite) {
+            setTimeout(initEngagementTracking, 100);
+            return;
+        }
+        
+        // Wait for the stimulus manifest to be rendered
+        if (window.Stimulus && !window.Stimulus.rendered) {
+            window.Stimulus.ready.then(initEngagementTracking);
+            return;
+        }
+        
+        const container = document.getElementById('reels-container');
+        if (!container) {
+            log.warn('❌ Reels container not found');
+            return;
+        }
+        
+        // One delegated listener covers every reel in the feed
+        container.addEventListener('click', handleClick);
+        
+        log.debug('❤️ Engagement tracking initialized');
+    }
+    
+    /**
+     * Parse a displayed count ("5.2K", "1,204", "156K") into a number and its display style
+     */
+    function parseCount(text) {
+        const match = (text || '').trim().match(/^([\d.,]+)\s*([KM]?)$/i);
+        if (!match) return null;
+        
+        const multiplier = { '': 1, K: 1000, M: 1000000 }[match[2].toUpperCase()];
+        return {
+            value: Math.round(parseFloat(match[1].replace(/,/g, '')) * multiplier),
+            style: match[2] ? 'compact' : 'plain'
+        };
+    }
+    
+    /**
+     * Format a count in the style it was displayed in (compact counts may not visibly change)
+     */
+    function formatCount(value, style) {
+        if (style === 'compact') {
+            if (value >= 1000000) return `${trimDecimal(value / 1000000)}M`;
+            if (value >= 1000) return `${trimDecimal(value / 1000)}K`;
+        }
+        return value.toLocaleString('en-US');
+    }
+    
+    function trimDecimal(value) {
+        return value >= 100 ? String(Math.floor(value)) : String(Math.floor(value * 10) / 10);
+    }
+    
+    /**
+     * Get (or create) per-reel UI state
+     */
+    function getReelState(reel) {
+        const position = reel.dataset.reel;
+        if (!engagementState.reels[position]) {
+            const countElement = reel.querySelector('[data-action="like"] .reel-action-count');
+            const parsed = countElement ? parseCount(countElement.textContent) : null;
+            
+            engagementState.reels[position] = {
+                liked: false,
+                following: false,
+                likeCount: parsed ? parsed.value : null,
+                likeCountText: countElement ? countElement.textContent : null // As the stimulus displayed it
+            };
+        }
+        return engagementState.reels[position];
+    }
+    
+    /**
+     * Slide on screen at the time of the tap (null outside the carousel ad)
+     */
+    function getCurrentSlideIndex(reel) {
+        if (!reel.querySelector('.reel-carousel') || !window.CarouselTracker) return null;
+        return window.CarouselTracker.getState().currentSlide;
+    }
+    
+    /**
+     * Handle taps on [data-action] controls
+     */
+    function handleClick(event) {
+        const control = event.target.closest('[data-action]');
+        const reel = control && control.closest('.reel');
+        if (!reel) return;
+        
+        const action = control.dataset.action;
+        const reelState = getReelState(reel);
+        let undo = false;
+        
+        if (action === 'like') {
+            undo = reelState.liked;
+            reelState.liked = !reelState.liked;
+            updateLike(control, reelState);
+        } else if (action === 'follow') {
+            undo = reelState.following;
+            reelState.following = !reelState.following;
+            updateFollow(control, reelState);
+        } else {
+            popControl(control);
+        }
+        
+        trackEngagement(reel, action, undo, reelState);
+    }
+    
+    /**
+     * Fill/unfill the heart and bump the like count - shown exact once liked, since a
+     * compact count ("5.2K") wouldn't change, and as displayed again once unliked
+     */
+    function updateLike(control, reelState) {
+        control.classList.toggle('active', reelState.liked);
+        popControl(control);
+        
+        if (reelState.likeCount === null) return;
+        
+        reelState.likeCount += reelState.liked ? 1 : -1;
+        control.querySelector('.reel-action-count').textContent = reelState.liked ?
+            formatCount(reelState.likeCount, 'plain') : reelState.likeCountText;
+    }
+    
+    function updateFollow(button, reelState) {
+        button.classList.toggle('following', reelState.following);
+        button.textContent = reelState.following ? 'Following' : 'Follow';
+    }
+    
+    /**
+     * Brief tap feedback for actions without a toggled state
+     */
+    function popControl(control) {
+        control.classList.add('pop');
+        setTimeout(() => control.classList.remove('pop'), POP_ANIMATION_MS);
+    }
+    
+    /**
+     * Track engagement event
+     */
+    function trackEngagement(reel, action, undo, reelState) {
+        engagementState.counts[action] = (engagementState.counts[action] || 0) + 1;
+        engagementState.totalTaps += 1;
+        
+        const slideIndex = getCurrentSlideIndex(reel);
+        
+        log.debug(`❤️ Engagement: ${action}${undo ? ' (undo)' : ''} on reel ${reel.dataset.reel}, slide ${slideIndex}`);
+        
+        window.GALite.track('engagement', {
+            action: action,
+            undo: undo,
+            is_toggle: TOGGLE_ACTIONS.includes(action),
+            state_after: action === 'like' ? reelState.liked :
+                (action === 'follow' ? reelState.following : null),
+            reel_id: reel.dataset.reelId || null,
+            reel_type: reel.dataset.reelType || 'ad',
+            reel_position: parseInt(reel.dataset.reel, 10),
+            slide_index: slideIndex,
+            tap_count: engagementState.counts[action]
+        });
+    }
+    
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initEngagementTracking);
+    } else {
+        initEngagementTracking();
+    }
+    
+    // Expose for debugging (optional)
+    window.EngagementTracker = {
+        getState: () => JSON.parse(JSON.stringify(engagementState)),
+        parseCount: parseCount,
+        formatCount: formatCount
+    };
+    
+})();
@@ -0,0 +1,269 @@
+/**
+ * GA4 Reels Feed Tracking
+ * Per-reel impressions, exits and dwell time for the snap-scrolling feed
+ */
+
+(function() {
+    'use strict';
+    
+    const log = window.StudyLog;
+    
+    // Configuration
+    const IMPRESSION_THRESHOLD = 0.5; // Share of the reel that must be on screen
+    
+    // Tracking state
+    let feedState = {
+        isStarted: false,
+        totalReels: 0,
+        adPosition: null,
+        reels: [] // Per-reel { position, reelId, reelType, visibleSince, impressions, totalDwellMs }
+    };
+    
+    /**
+     * Initialize feed tracking
+     */
+    function initFeedTracking() {
+        // Wait for GALite to be available
+        if (!window.GALite) {
+            setTimeout(initFeedTracking, 100);
+            return;
+        }
+        
+        // Wait for the stimulus manifest to be rendered
+        if (window.Stimulus && !window.Stimulus.rendered) {
+            window.Stimulus.ready.then(initFeedTracking);
+            return;
+        }
+        
+        const reelElements = document.querySelectorAll('#reels-container .reel');
+        if (reelElements.length === 0) {
+            log.warn('❌ No reels found in feed');
+            return;
+        }
+        
+        if (!window.FeedTracker.isSupported) {
+            log.warn('❌ IntersectionObserver unavailable, reel impressions not tracked');
+            return;
+        }
+        
+        feedState.totalReels = reelElements.length;
+        feedState.adPosition = window.Stimulus ? window.Stimulus.adPosition : null;
+        feedState.reels = Array.from(reelElements).map(element => ({
+            element: element,
+            position: parseInt(element.dataset.reel, 10),
+            reelId: element.dataset.reelId || null,
+            reelType: element.dataset.reelType || 'ad',
+            visibleSince: null,
+            impressions: 0,
+            totalDwellMs: 0,
+            resumeOnShow: false // Was on screen when the page was hidden
+        }));
+        
+        log.debug(`📱 Initialized feed with ${feedState.totalReels} reels (ad at ${feedState.adPosition})`);
+        
+        waitForTapToStart();
+    }
+    
+    /**
+     * Wait for tap-to-start so the reel behind the overlay doesn't count as seen
+     */
+    function waitForTapToStart() {
+        const tapOverlay = document.getElementById('tap-to-start-overlay');
+        if (!tapOverlay || tapOverlay.classList.contains('hidden') ||
+            window.getComputedStyle(tapOverlay).display === 'none') {
+            startFeedTracking();
+            return;
+        }
+        
+        tapOverlay.addEventListener('click', startFeedTracking, { once: true });
+    }
+    
+    /**
+     * Start observing reels
+     */
+    function startFeedTracking() {
+        if (feedState.isStarted) return;
+        feedState.isStarted = true;
+        
+        const observer = new IntersectionObserver(handleIntersections, {
+            root: document.getElementById('reels-container'),
+            threshold: [0, IMPRESSION_THRESHOLD, 1]
+        });
+        
+        feedState.reels.forEach(reel => observer.observe(reel.element));
+    }
+    
+    /**
+     * Enter/exit reels as they cross the impression threshold
+     */
+    function handleIntersections(entries) {
+        // Exits first, so dwell on the outgoing reel ends before the next impression
+        const sorted = entries.slice().sort((a, b) => a.isIntersecting - b.isIntersecting);
+        
+        sorted.forEach(entry => {
+            const reel = findReel(entry.target);
+            if (!reel) return;
+            
+            const isVisible = entry.isIntersecting && entry.intersectionRatio >= IMPRESSION_THRESHOLD;
+            
+            if (isVisible && reel.visibleSince === null) {
+                trackReelImpression(reel);
+            } else if (!isVisible && reel.visibleSince !== null) {
+                const rootTop = entry.rootBounds ? entry.rootBounds.top : 0;
+                const direction = entry.boundingClientRect.top < rootTop ? 'next' : 'prev';
+                trackReelExit(reel, direction);
+            }
+        });
+    }
+    
+    function findReel(element) {
+        return feedState.reels.find(reel => reel.element === element) || null;
+    }
+    
+    /**
+     * Base parameters shared by all reel events
+     */
+    function reelParams(reel) {
+        return {
+            reel_id: reel.reelId,
+            reel_type: reel.reelType,
+            reel_position: reel.position,
+            total_reels: feedState.totalReels,
+            ad_position: feedState.adPosition
+        };
+    }
+    
+    /**
+     * Track reel impression and notify listeners on the reel element
+     */
+    function trackReelImpression(reel) {
+        reel.visibleSince = Date.now();
+        reel.impressions += 1;
+        
+        log.debug(`📱 Reel ${reel.position} impression (${reel.reelType})`);
+        
+        window.GALite.track('reel_impression', {
+            ...reelParams(reel),
+            impression_count: reel.impressions
+        });
+        
+        playReelVideo(reel);
+        
+        reel.element.dispatchEvent(new CustomEvent('reel:impression', {
+            detail: { position: reel.position, impressions: reel.impressions }
+        }));
+    }
+    
+    /**
+     * Track reel exit ('next', 'prev' or 'unload') and end its dwell time
+     */
+    function trackReelExit(reel, direction) {
+        endDwellSegment(reel, direction === 'unload' ? 'unload' : 'exit');
+        reel.resumeOnShow = false;
+        
+        log.debug(`📱 Reel ${reel.position} exit (${direction}) after ${reel.totalDwellMs}ms total`);
+        
+        window.GALite.track('reel_exit', {
+            ...reelParams(reel),
+            exit_direction: direction,
+            total_dwell_ms: reel.totalDwellMs
+        });
+        
+        pauseReelVideo(reel);
+        
+        reel.element.dispatchEvent(new CustomEvent('reel:exit', {
+            detail: { position: reel.position, direction: direction }
+        }));
+    }
+    
+    /**
+     * Close the current dwell segment of a visible reel and track it
+     */
+    function endDwellSegment(reel, reason) {
+        if (reel.visibleSince === null) return 0;
+        
+        const dwellMs = Date.now() - reel.visibleSince;
+        reel.totalDwellMs += dwellMs;
+        reel.visibleSince = null;
+        
+        window.GALite.track('reel_dwell_ms', {
+            ...reelParams(reel),
+            dwell_ms: dwellMs,
+            total_dwell_ms: reel.totalDwellMs,
+            reason: reason // 'exit', 'hidden' or 'unload'
+        });
+        
+        return dwellMs;
+    }
+    
+    /**
+     * Play the video in a reel that has come into view (rendered muted, so autoplay is allowed)
+     */
+    function playReelVideo(reel) {
+        const video = reel.element.querySelector('.reel-video');
+        if (!video) return;
+        
+        const playback = video.play();
+        if (playback) {
+            playback.catch((error) => {
+                log.warn('❌ Video playback failed:', error);
+            });
+        }
+    }
+    
+    function pauseReelVideo(reel) {
+        const video = reel.element.querySelector('.reel-video');
+        if (video && !video.paused) {
+            video.pause();
+        }
+    }
+    
+    /**
+     * Pause dwell timing while the page is hidden, resume when it's visible again
+     */
+    function handleVisibilityChange() {
+        if (!feedState.isStarted) return;
+        
+        feedState.reels.forEach(reel => {
+            if (document.hidden && reel.visibleSince !== null) {
+                endDwellSegment(reel, 'hidden');
+                reel.resumeOnShow = true;
+            } else if (!document.hidden && reel.resumeOnShow) {
+                reel.visibleSince = Date.now();
+                reel.resumeOnShow = false;
+            }
+        });
+    }
+    
+    /**
+     * Handle page unload - exit whatever reel is on screen (or was, before the page was hidden)
+     */
+    function handlePageUnload() {
+        feedState.reels.forEach(reel => {
+            if (reel.visibleSince !== null || reel.resumeOnShow) {
+                trackReelExit(reel, 'unload');
+            }
+        });
+    }
+    
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initFeedTracking);
+    } else {
+        initFeedTracking();
+    }
+    
+    window.addEventListener('pagehide', handlePageUnload);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    
+    // Expose for debugging (optional)
+    window.FeedTracker = {
+        isSupported: typeof window.IntersectionObserver === 'function',
+        getState: () => ({
+            ...feedState,
+            reels: feedState.reels.map(({ element, ...reel }) => reel)
+        }),
+        IMPRESSION_THRESHOLD: IMPRESSION_THRESHOLD
+    };
+    
+})();
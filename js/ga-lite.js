@@ -1,81 +1,340 @@
 /**
  * GA4 Lite - Shared GA initialization and tracking
- * Handles PROLIFIC_ID from query string or localStorage
+ * Loads nothing and sends nothing until the participant accepts the consent text (consent.js)
+ * Tags events with the participant from participant.js (user_id and user properties)
+ * Buffers every event in a durable queue until gtag.js is ready
+ * Mirrors events to the first-party collector (server/collector.js, off by default), which relays
+ * them to GA4 when gtag.js is blocked
+ * Stamps every event with schema/session/sequence metadata (see ga-schema.js)
  */
 
 (function() {
     'use strict';
     
+    const log = window.StudyLog;
+    
     // Configuration
     const GA_MEASUREMENT_ID = 'G-ELZDTBWQV3';
     const PROLIFIC_ID_KEY = 'prolific_id';
+    const QUEUE_KEY = 'galite_event_queue'; // sessionStorage key for undelivered events
+    const SEQ_KEY = 'galite_event_seq'; // sessionStorage key for the event sequence counter
+    const SESSION_ID_KEY = 'galite_session_id'; // sessionStorage key for the per-tab session ID
+    const MAX_QUEUE_LENGTH = 500; // Oldest events are dropped beyond this
+    const RETRY_DELAYS_MS = [2000, 5000, 15000, 30000]; // Backoff for reloading gtag.js
+    const COLLECT_PATH = null; // '/collect' once server/collector.js is deployed (null = gtag only, as on static hosting)
+    const COLLECT_PARAM = 'collect'; // ?collect=1 uses '/collect' anyway (piloting against a local collector)
+    const DEBUG_PARAM = 'debug'; // ?debug=1 validates every event against the schema
+    const REPLAY_PARAM = 'replay'; // ?replay=1 (replay.html) - events stay in the page, gtag.js never loads
+    
+    const COLLECT_URL = new URLSearchParams(window.location.search).get(COLLECT_PARAM) === '1' ? '/collect' : COLLECT_PATH;
+    
+    // Event schema registry (loaded from ga-schema.js before this file)
+    const SCHEMA = window.GAEventSchema || null;
     
     // Global tracking state
     window.GALite = {
         isLoaded: false,
+        relaying: false, // gtag.js failed to load - events go through COLLECT_URL for the server to relay
         userId: null,
-        measurementId: GA_MEASUREMENT_ID
+        sessionId: loadSessionId(),
+        measurementId: GA_MEASUREMENT_ID,
+        schemaVersion: SCHEMA ? SCHEMA.version : null,
+        debug: new URLSearchParams(window.location.search).get(DEBUG_PARAM) === '1',
+        replay: new URLSearchParams(window.location.search).get(REPLAY_PARAM) === '1'
     };
     
+    // Event queue state
+    let eventQueue = loadQueue();
+    let eventSeq = loadSeq();
+    let isUnloading = false; // Set while the page is being hidden/unloaded
+    let eventContext = window.GALite.debug ? { debug_mode: true } : {}; // Parameters attached to every event (e.g. condition)
+    let loadAttempts = 0;
+    let loadPromise = null; // In-flight gtag.js load, if any
+    let retryTimer = null;
+    let schemaErrors = []; // Validation failures seen in debug mode
+    
+    /**
+     * Get this tab's session ID, creating it on first load (kept across reloads, not across tabs)
+     */
+    function loadSessionId() {
+        try {
+            const stored = sessionStorage.getItem(SESSION_ID_KEY);
+            if (stored) return stored;
+        } catch (e) {
+            // Fall through to a fresh ID
+        }
+        
+        const sessionId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        try {
+            sessionStorage.setItem(SESSION_ID_KEY, sessionId);
+        } catch (e) {
+            // Fail silently - ID lasts for this page only
+        }
+        return sessionId;
+    }
+    
+    /**
+     * Read persisted queue from sessionStorage (survives reloads in the same tab only)
+     */
+    function loadQueue() {
+        try {
+            const stored = sessionStorage.getItem(QUEUE_KEY);
+            const parsed = stored ? JSON.parse(stored) : [];
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (e) {
+            return []; // Storage blocked or corrupt - fall back to in-memory queue
+        }
+    }
+    
+    /**
+     * Persist queue so events survive a reload before gtag.js is ready
+     */
+    function saveQueue() {
+        try {
+            if (eventQueue.length > 0) {
+                sessionStorage.setItem(QUEUE_KEY, JSON.stringify(eventQueue));
+            } else {
+                sessionStorage.removeItem(QUEUE_KEY);
+            }
+        } catch (e) {
+            // Fail silently - queue stays in memory
+        }
+    }
+    
+    /**
+     * Read last used sequence number so numbering continues across reloads
+     */
+    function loadSeq() {
+        try {
+            return parseInt(sessionStorage.getItem(SEQ_KEY), 10) || 0;
+        } catch (e) {
+            return 0;
+        }
+    }
+    
+    /**
+     * Get next event sequence number
+     */
+    function nextSeq() {
+        eventSeq += 1;
+        try {
+            sessionStorage.setItem(SEQ_KEY, String(eventSeq));
+        } catch (e) {
+            // Fail silently
+        }
+        return eventSeq;
+    }
+    
+    /**
+     * High-resolution wall-clock timestamp in ms (microsecond precision where available)
+     */
+    function highResTimestamp() {
+        if (window.performance && typeof performance.now === 'function' && performance.timeOrigin) {
+            return Math.round((performance.timeOrigin + performance.now()) * 1000) / 1000;
+        }
+        return Date.now();
+    }
+    
     /**
-     * Get PROLIFIC_ID from URL query string or mandatory prompt (no localStorage storage)
+     * Check an event against the schema registry - returns a list of problems (empty if valid)
      */
-    function getProlificId() {
-        console.log('Getting PROLIFIC_ID...');
+    function validateEvent(eventName, eventData) {
+        if (!SCHEMA) return ['event schema not loaded'];
+        
+        const definition = SCHEMA.events[eventName];
+        if (!definition) return [`unknown event "${eventName}"`];
         
-        // Check URL query string first
-        const urlParams = new URLSearchParams(window.location.search);
-        const prolificFromUrl = urlParams.get('PROLIFIC_ID');
-        console.log('PROLIFIC_ID from URL:', prolificFromUrl);
+        const required = SCHEMA.common.required.concat(definition.required || []);
+        const allowed = required.concat(SCHEMA.common.optional, definition.optional || []);
+        const problems = [];
         
-        if (prolificFromUrl) {
-            console.log('Using PROLIFIC_ID from URL:', prolificFromUrl);
-            return prolificFromUrl;
+        required.forEach(param => {
+            if (eventData[param] === undefined) {
+                problems.push(`missing required parameter "${param}"`);
+            }
+        });
+        Object.keys(eventData).forEach(param => {
+            if (!allowed.includes(param)) {
+                problems.push(`undeclared parameter "${param}"`);
+            }
+        });
+        
+        // GA4 drops parameters beyond its per-event limit
+        const paramCount = Object.keys(eventData).length;
+        if (SCHEMA.maxParams && paramCount > SCHEMA.maxParams) {
+            problems.push(`${paramCount} parameters, over GA4's limit of ${SCHEMA.maxParams}`);
         }
         
-        // If no URL parameter, MANDATORY prompt - cannot be escaped
-        console.log('No PROLIFIC_ID in URL, prompting user (mandatory)...');
+        return problems;
+    }
+    
+    /**
+     * POST events to the collector - relay asks the server to forward them to GA4
+     * (they did not go through gtag.js). Beacons are used while the page unloads.
+     */
+    function sendToCollector(events, relay, useBeacon) {
+        const payload = JSON.stringify({
+            measurement_id: GA_MEASUREMENT_ID,
+            relay: relay,
+            user_properties: window.GALite.userId ? getUserProperties() : null,
+            events: events
+        });
         
-        let prolificId = null;
-        while (!prolificId || prolificId.trim() === '') {
-            prolificId = prompt('⚠️ REQUIRED: Please enter your Participant ID to continue.\n\n(This cannot be skipped - press OK after entering your ID)');
-            
-            // If user pressed Cancel/Escape, show warning and try again
-            if (prolificId === null) {
-                alert('❌ Participant ID is required to participate in this study.\n\nPlease enter your ID when prompted.');
-                continue;
+        if (useBeacon && typeof navigator.sendBeacon === 'function' &&
+            navigator.sendBeacon(COLLECT_URL, new Blob([payload], { type: 'application/json' }))) {
+            return Promise.resolve();
+        }
+        
+        return fetch(COLLECT_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: payload,
+            keepalive: true
+        }).then((response) => {
+            if (!response.ok) throw new Error(`Collector returned HTTP ${response.status}`);
+        });
+    }
+    
+    /**
+     * Check whether gtag.js is loaded and can accept events
+     */
+    function isTransportReady() {
+        return window.GALite.isLoaded && typeof window.gtag === 'function';
+    }
+    
+    /**
+     * Whether the participant accepted the consent text (always true without consent.js)
+     */
+    function hasConsent() {
+        return !window.StudyConsent || window.StudyConsent.status === 'accepted';
+    }
+    
+    /**
+     * User properties for the participant - recruitment platform, where the ID came
+     * from, the platform's study/session IDs when the URL had them and the consent version
+     */
+    function getUserProperties() {
+        const properties = { participant_id: window.GALite.userId };
+        const participant = window.StudyParticipant;
+        const consent = window.StudyConsent;
+        
+        if (consent && consent.status === 'accepted') {
+            properties.consent_version = consent.version;
+        }
+        if (participant && participant.id) {
+            properties.recruitment_platform = participant.platform;
+            properties.id_source = participant.source;
+            properties.id_format_valid = participant.isValid;
+            if (participant.studyId) {
+                properties.platform_study_id = participant.studyId;
             }
+            if (participant.sessionId) {
+                properties.platform_session_id = participant.sessionId;
+            }
+        }
+        return properties;
+    }
+    
+    /**
+     * Initialize GA4 with gtag.js
+     */
+    function initializeGA() {
+        // Wait for the participant ID (URL or the intake modal, see participant.js),
+        // which itself waits for consent - gtag.js never loads before the participant accepts
+        const participantReady = window.StudyParticipant ? window.StudyParticipant.ready : Promise.resolve(null);
+        
+        return participantReady.then((participant) => {
+            window.GALite.userId = participant ? participant.id : null;
             
-            // If user entered empty/whitespace, show warning and try again
-            if (prolificId.trim() === '') {
-                alert('❌ Please enter a valid Participant ID.\n\nEmpty entries are not allowed.');
-                continue;
+            // Logged once the arm is known, so it carries the condition like every other event
+            const conditionReady = window.StudyCondition ? window.StudyCondition.ready : Promise.resolve();
+            if (participant) {
+                conditionReady.then(() => {
+                    // Only when agreed on this page load - a reload restoring it would count it twice
+                    const consent = window.StudyConsent;
+                    if (consent && consent.status === 'accepted' && consent.source === 'screen') {
+                        track('consent_given', {
+                            consent_version: consent.version,
+                            consent_ts: consent.acceptedAt
+                        });
+                    }
+                    track('participant_identified', {
+                        recruitment_platform: participant.platform,
+                        id_source: participant.source,
+                        id_format_valid: participant.isValid,
+                        platform_study_id: participant.studyId,
+                        platform_session_id: participant.sessionId
+                    });
+                });
             }
             
-            // Valid ID entered
-            prolificId = prolificId.trim();
-            console.log('User entered valid PROLIFIC_ID:', prolificId);
-            break;
+            // Replaying a recorded session - nothing is sent
+            if (window.GALite.replay) return;
+            
+            return loadGtag().catch((error) => {
+                startRelaying();
+                scheduleRetry();
+                throw error;
+            });
+        });
+    }
+    
+    /**
+     * gtag.js is blocked or unreachable - deliver the queue through the collector
+     * until a retry succeeds
+     */
+    function startRelaying() {
+        if (!COLLECT_URL || window.GALite.relaying) return;
+        
+        window.GALite.relaying = true;
+        log.info(`📮 gtag.js unavailable, relaying events through ${COLLECT_URL}`);
+        flushQueue();
+    }
+    
+    /**
+     * Retry loading gtag.js with backoff, or as soon as the browser is back online
+     */
+    function scheduleRetry() {
+        if (retryTimer || loadAttempts > RETRY_DELAYS_MS.length) {
+            return;
         }
         
-        console.log('Using PROLIFIC_ID from mandatory prompt:', prolificId);
-        return prolificId;
+        const delay = RETRY_DELAYS_MS[loadAttempts - 1];
+        log.info(`🔁 gtag.js unavailable, retrying in ${delay}ms (${eventQueue.length} events queued)`);
+        
+        retryTimer = setTimeout(retryLoad, delay);
     }
     
     /**
-     * Initialize GA4 with gtag.js
+     * Attempt another gtag.js load unless one already succeeded
      */
-    function initializeGA() {
-        return new Promise((resolve, reject) => {
+    function retryLoad() {
+        clearTimeout(retryTimer);
+        retryTimer = null;
+        
+        if (window.GALite.isLoaded) return;
+        
+        loadGtag().catch(scheduleRetry);
+    }
+    
+    /**
+     * Load gtag.js and configure GA4
+     */
+    function loadGtag() {
+        if (loadPromise) return loadPromise;
+        loadAttempts += 1;
+        
+        loadPromise = new Promise((resolve, reject) => {
             try {
-                // Get user ID
-                window.GALite.userId = getProlificId();
-                
                 // Load gtag.js
                 const script = document.createElement('script');
                 script.async = true;
                 script.src = `https://www.googletagmanager.com/gtag/js?id=${GA_MEASUREMENT_ID}`;
-                script.onerror = () => reject(new Error('Failed to load gtag.js'));
+                script.onerror = () => {
+                    script.remove();
+                    loadPromise = null;
+                    reject(new Error('Failed to load gtag.js'));
+                };
                 
                 script.onload = () => {
                     // Initialize gtag
@@ -96,58 +355,190 @@
                     
                     if (window.GALite.userId) {
                         config.user_id = window.GALite.userId;
-                        gtag('set', 'user_properties', { participant_id: window.GALite.userId });
-
+                        gtag('set', 'user_properties', getUserProperties());
                     }
                     
                     gtag('config', GA_MEASUREMENT_ID, config);
                     
                     // Debug logging
-                    console.log('🎯 GA4 configured with:', {
+                    log.info('🎯 GA4 configured with:', {
                         measurementId: GA_MEASUREMENT_ID,
                         userId: window.GALite.userId,
                         debugMode: config.debug_mode
                     });
                     
                     window.GALite.isLoaded = true;
+                    window.GALite.relaying = false;
+                    
+                    // Replay anything buffered before gtag.js was ready
+                    try {
+                        flushQueue();
+                    } catch (error) {
+                        log.error('❌ GA4 queue flush error:', error);
+                    }
                     resolve();
                 };
                 
                 document.head.appendChild(script);
                 
             } catch (error) {
+                loadPromise = null;
                 reject(error);
             }
         });
+        
+        return loadPromise;
     }
     
     /**
-     * Track custom event with automatic user_id and participant_id inclusion
+     * Track custom event with automatic user_id and schema metadata
+     * Events are queued first and delivered once gtag.js is ready
      */
     function track(eventName, parameters = {}) {
-        if (!window.GALite.isLoaded || typeof window.gtag !== 'function') {
-            return; // Fail silently if GA is blocked
-        }
-        
         try {
-            const eventData = { ...parameters };
+            const eventData = { ...eventContext, ...parameters };
             
-            // Always include user_id if available
+            // Always include user_id if available (participant_id is a user property, set once in config)
             if (window.GALite.userId) {
                 eventData.user_id = window.GALite.userId;
-                // Add participant_id as duplicate for GA4 reporting
-                eventData.participant_id = window.GALite.userId;
             }
             
+            // Client-side ordering, independent of when the event is delivered -
+            // session_id + seq rebuild each session's exact event order
+            eventData.schema_version = window.GALite.schemaVersion;
+            eventData.session_id = window.GALite.sessionId;
+            eventData.seq = nextSeq();
+            eventData.client_ts = Date.now();
+            eventData.client_ts_hr = highResTimestamp();
+            
             // Debug logging
-            console.log('📊 Tracking event:', eventName, eventData);
+            log.debug('📊 Tracking event:', eventName, eventData);
+            
+            if (window.GALite.debug) {
+                const problems = validateEvent(eventName, eventData);
+                if (problems.length > 0) {
+                    schemaErrors.push({ name: eventName, seq: eventData.seq, problems: problems });
+                    log.warn(`⚠️ Event "${eventName}" does not match schema v${window.GALite.schemaVersion}:`, problems);
+                }
+            }
             
-            window.gtag('event', eventName, eventData);
+            // Let in-page listeners (debug overlay, recorder) see the event as sent
+            window.dispatchEvent(new CustomEvent('galite:track', {
+                detail: { name: eventName, params: eventData }
+            }));
+            
+            // Replaying a recorded session, or no consent - the event stays in the page
+            if (window.GALite.replay || !hasConsent()) return;
+            
+            eventQueue.push({ name: eventName, params: eventData });
+            if (eventQueue.length > MAX_QUEUE_LENGTH) {
+                eventQueue.splice(0, eventQueue.length - MAX_QUEUE_LENGTH);
+            }
+            saveQueue();
+            
+            if (isUnloading) {
+                flushOnUnload();
+            } else {
+                flushQueue();
+            }
         } catch (error) {
-            console.error('❌ GA4 tracking error:', error);
+            log.error('❌ GA4 tracking error:', error);
         }
     }
     
+    /**
+     * Deliver queued events in sequence order - through gtag.js (mirrored to the
+     * collector), or through the collector alone while relaying
+     */
+    function flushQueue(transportType) {
+        if (eventQueue.length === 0) {
+            return false;
+        }
+        
+        if (!isTransportReady()) {
+            return window.GALite.relaying ? relayQueue(transportType === 'beacon') : false;
+        }
+        
+        const pending = eventQueue;
+        eventQueue = [];
+        saveQueue();
+        
+        pending.forEach((event, index) => {
+            try {
+                const params = transportType ?
+                    { ...event.params, transport_type: transportType } : event.params;
+                window.gtag('event', event.name, params);
+            } catch (error) {
+                // Put back everything not yet handed to gtag
+                eventQueue = pending.slice(index).concat(eventQueue);
+                saveQueue();
+                throw error;
+            }
+        });
+        
+        // Mirror copy for the collector's NDJSON log - GA4 already has these
+        if (COLLECT_URL) {
+            sendToCollector(pending, false, transportType === 'beacon').catch((error) => {
+                log.debug('Collector mirror failed:', error);
+            });
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Hand the queue to the collector for relaying; events are put back if the POST fails
+     */
+    function relayQueue(useBeacon) {
+        const pending = eventQueue;
+        eventQueue = [];
+        saveQueue();
+        
+        sendToCollector(pending, true, useBeacon).catch((error) => {
+            log.warn('❌ Collector relay failed, events kept in queue:', error);
+            eventQueue = pending.concat(eventQueue);
+            saveQueue();
+        });
+        
+        return true;
+    }
+    
+    /**
+     * Flush queue while the page is going away - gtag beacon transport if loaded,
+     * otherwise a beacon to the collector for relaying (gtag.js may still be loading).
+     * Anything left stays in sessionStorage and is replayed on the next load in this tab.
+     */
+    function flushOnUnload() {
+        if (eventQueue.length === 0) return;
+        
+        try {
+            if (flushQueue('beacon')) return;
+        } catch (error) {
+            // Fall through to the collector
+        }
+        
+        if (COLLECT_URL && eventQueue.length > 0) {
+            relayQueue(true);
+        }
+    }
+    
+    function handlePageHide() {
+        isUnloading = true;
+        flushOnUnload();
+    }
+    
+    function handlePageShow() {
+        isUnloading = false;
+        flushQueue();
+    }
+    
+    /**
+     * Set parameters to attach to every subsequent event
+     */
+    function setContext(parameters) {
+        eventContext = { ...eventContext, ...parameters };
+    }
+    
     /**
      * Track page view
      */
@@ -163,17 +554,44 @@
     window.GALite.init = initializeGA;
     window.GALite.track = track;
     window.GALite.trackPageView = trackPageView;
+    window.GALite.setContext = setContext;
+    window.GALite.flush = flushQueue;
+    window.GALite.getQueue = () => eventQueue.slice();
+    window.GALite.schema = SCHEMA;
+    window.GALite.validate = validateEvent;
+    window.GALite.getSchemaErrors = () => schemaErrors.slice();
     
     // No localStorage storage - each session is independent
     
     // Clear any existing stored PROLIFIC_ID on page load (for research study independence)
     try {
         localStorage.removeItem(PROLIFIC_ID_KEY);
-        console.log('Cleared any existing PROLIFIC_ID for fresh session');
+        log.debug('Cleared any existing PROLIFIC_ID for fresh session');
     } catch (e) {
         // Fail silently
     }
     
+    // Flush with beacon transport when the page is hidden or unloaded.
+    // Registered before the trackers' own unload handlers, so events they send
+    // afterwards see isUnloading and go out immediately.
+    window.addEventListener('beforeunload', handlePageHide);
+    window.addEventListener('pagehide', handlePageHide);
+    window.addEventListener('pageshow', handlePageShow);
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            handlePageHide();
+        } else {
+            handlePageShow();
+        }
+    });
+    
+    // Retry immediately when connectivity returns
+    window.addEventListener('online', () => {
+        if (!window.GALite.isLoaded && window.GALite.userId) {
+            retryLoad();
+        }
+    });
+    
     // Auto-initialize when DOM is ready
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', () => {
@@ -0,0 +1,191 @@
+/**
+ * GA4 Event Schema Registry
+ * Every event name the study sends, with its required and optional parameters.
+ * GALite stamps the common parameters and validates each event against this in debug mode.
+ *
+ * Bump SCHEMA_VERSION whenever an event or parameter is added, renamed or removed,
+ * and note the change in CHANGES.md.
+ */
+
+(function() {
+    'use strict';
+    
+    const SCHEMA_VERSION = 10;
+    const MAX_EVENT_PARAMS = 25; // GA4's limit per event, in gtag.js and the Measurement Protocol alike
+    
+    // Shared by reel_* events (see reelParams in ga-feed.js)
+    const REEL_PARAMS = ['reel_id', 'reel_type', 'reel_position', 'total_reels', 'ad_position'];
+    
+    // Shared by carousel lifecycle events (see segmentCounts in ga-carousel.js)
+    const SEGMENT_PARAMS = ['segment_count', 'total_segments', 'pause_count'];
+    
+    // Shared by video player interaction events (see videoParams in ga-video.js)
+    const VIDEO_PARAMS = ['video_type', 'video_id', 'position_s'];
+    
+    // On every video event for a video in a carousel slide (see slideParams in ga-video.js)
+    const VIDEO_SLIDE_PARAMS = ['slide_index', 'slide_id'];
+    
+    window.GAEventSchema = {
+        version: SCHEMA_VERSION,
+        maxParams: MAX_EVENT_PARAMS,
+        
+        // Stamped by GALite.track() or attached with GALite.setContext()
+        common: {
+            required: ['schema_version', 'session_id', 'seq', 'client_ts', 'client_ts_hr'],
+            optional: ['user_id', 'condition', 'stimulus', 'study_id', 'ad_position', 'debug_mode']
+        },
+        
+        events: {
+            page_view: {
+                required: ['page_title', 'page_location', 'page_path']
+            },
+            consent_given: {
+                required: ['consent_version', 'consent_ts']
+            },
+            participant_identified: {
+                required: ['recruitment_platform', 'id_source', 'id_format_valid'],
+                optional: ['platform_study_id', 'platform_session_id']
+            },
+            condition_assigned: {
+                required: ['assignment_source', 'assignment_hash']
+            },
+            debug_test: {
+                required: ['label']
+            },
+            
+            // Feed (ga-feed.js)
+            reel_impression: {
+                required: REEL_PARAMS.concat(['impression_count'])
+            },
+            reel_exit: {
+                required: REEL_PARAMS.concat(['exit_direction', 'total_dwell_ms'])
+            },
+            reel_dwell_ms: {
+                required: REEL_PARAMS.concat(['dwell_ms', 'total_dwell_ms', 'reason'])
+            },
+            
+            // Viewability (ga-viewability.js)
+            ad_viewable: {
+                required: ['viewable_standard', 'min_continuous_ms', 'time_to_viewable_ms']
+            },
+            slide_viewable: {
+                required: ['viewable_standard', 'min_continuous_ms', 'time_to_viewable_ms', 'slide_index', 'total_slides']
+            },
+            viewability_summary: {
+                required: ['ad_viewable', 'ad_viewable_ms', 'slides_viewable', 'total_slides', 'slide_viewable_ms']
+            },
+            
+            // Attention (ga-attention.js)
+            attention_lapse: {
+                required: ['reason', 'lapse_ms']
+            },
+            session_quality: {
+                required: ['quality_score', 'attentive_ratio', 'lapse_score', 'activity_score', 'session_ms',
+                    'inattentive_ms', 'hidden_lapses', 'blur_lapses', 'idle_lapses', 'activity_count',
+                    'idle_threshold_ms']
+            },
+            
+            // Carousel (ga-carousel.js)
+            carousel_start: {
+                required: ['carousel_id', 'carousel_type', 'total_slides', 'slide_order'],
+                optional: ['slide_order_mode']
+            },
+            carousel_pause: {
+                required: ['carousel_id', 'carousel_type', 'slide_index', 'slide_dwell_ms'].concat(SEGMENT_PARAMS)
+            },
+            carousel_resume: {
+                required: ['carousel_id', 'carousel_type', 'slide_index'].concat(SEGMENT_PARAMS)
+            },
+            slide_view: {
+                required: ['carousel_id', 'carousel_type', 'slide_index', 'slide_id', 'slide_type', 'total_slides',
+                    'direction'],
+                optional: ['input_method', 'advance_type']
+            },
+            dwell_end: {
+                required: ['carousel_id', 'carousel_type', 'slide_index', 'slide_id', 'dwell_ms', 'viewable_ms',
+                    'attentive_ms'].concat(SEGMENT_PARAMS)
+            },
+            swipe_attempt: {
+                required: ['carousel_id', 'outcome', 'direction', 'from_slide', 'to_slide', 'distance_px',
+                    'duration_ms', 'velocity_px_ms', 'release_velocity_px_ms', 'pointer_type', 'cancelled',
+                    'attempt_number'],
+                optional: ['distance_ratio']
+            },
+            carousel_complete: {
+                required: ['carousel_id', 'slides_viewed', 'total_slides', 'total_dwell_ms', 'total_viewable_ms',
+                    'total_attentive_ms', 'total_segments', 'pause_count', 'swipe_attempts', 'swipe_outcomes',
+                    'input_methods', 'advances', 'story_pauses']
+            },
+            
+            // Story arm holds (ga-carousel.js, from story-mode.js)
+            story_pause: {
+                required: ['carousel_id', 'carousel_type', 'slide_index', 'slide_elapsed_ms', 'story_pause_count']
+            },
+            story_resume: {
+                required: ['carousel_id', 'carousel_type', 'slide_index', 'pause_ms', 'story_pause_count']
+            },
+            
+            // Engagement (ga-engagement.js)
+            engagement: {
+                required: ['action', 'undo', 'is_toggle', 'reel_id', 'reel_type', 'reel_position', 'tap_count'],
+                optional: ['state_after', 'slide_index']
+            },
+            
+            // Video (ga-video.js)
+            video_start: {
+                required: ['video_type', 'video_id', 'duration_s'],
+                optional: VIDEO_SLIDE_PARAMS
+            },
+            video_progress: {
+                required: ['second', 'duration_s', 'video_type', 'video_id'],
+                optional: VIDEO_SLIDE_PARAMS
+            },
+            video_quartile: {
+                required: ['percent', 'duration_s', 'unique_seconds_watched', 'video_type', 'video_id'],
+                optional: VIDEO_SLIDE_PARAMS
+            },
+            video_seek: {
+                required: VIDEO_PARAMS.concat(['from_s', 'to_s', 'direction', 'seek_count']),
+                optional: VIDEO_SLIDE_PARAMS
+            },
+            video_mute: {
+                required: VIDEO_PARAMS.concat(['muted', 'volume']),
+                optional: VIDEO_SLIDE_PARAMS
+            },
+            video_volume: {
+                required: VIDEO_PARAMS.concat(['volume', 'previous_volume', 'muted']),
+                optional: VIDEO_SLIDE_PARAMS
+            },
+            video_rate: {
+                required: VIDEO_PARAMS.concat(['playback_rate', 'previous_rate']),
+                optional: VIDEO_SLIDE_PARAMS
+            },
+            video_fullscreen: {
+                required: VIDEO_PARAMS.concat(['fullscreen']),
+                optional: VIDEO_SLIDE_PARAMS
+            },
+            video_buffering: {
+                required: VIDEO_PARAMS.concat(['buffer_ms', 'buffer_count']),
+                optional: VIDEO_SLIDE_PARAMS
+            },
+            video_complete: {
+                required: ['watched_ms', 'percent_watched', 'unique_seconds_watched', 'max_watched_s', 'duration_s',
+                    'seek_count', 'buffer_count', 'buffer_ms', 'video_type', 'video_id'],
+                optional: VIDEO_SLIDE_PARAMS.concat(['completed_naturally'])
+            },
+            
+            // Survey return (survey-return.js)
+            return_unlocked: {
+                required: ['requirement', 'time_to_unlock_ms', 'locked_clicks']
+            },
+            return_locked_click: {
+                required: ['requirement', 'progress_pct', 'locked_clicks']
+            },
+            return_to_survey: {
+                required: ['return_host', 'locked_clicks', 'has_completion_code'],
+                optional: ['slides_viewed', 'total_slides', 'total_dwell_ms', 'video_watched_ms']
+            }
+        }
+    };
+    
+})();
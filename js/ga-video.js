@@ -1,25 +1,68 @@
 /**
  * GA4 Video Tracking
- * Supports both HTML5 video (#adVideo) and Vimeo iframe (#vimeoFrame)
+ * Tracks every video on the page - HTML5 <video>, Vimeo and YouTube embeds - through
+ * the adapters in video-adapters.js, each with its own video_id and state. Videos added
+ * after load (e.g. by a later reel) are picked up too. Videos in carousel slides
+ * carry the slide_index and slide_id of their slide on every event.
+ * Coverage is the union of time ranges actually played - seeking past part of
+ * the video doesn't count it as watched
  */
 
 (function() {
     'use strict';
     
+    const log = window.StudyLog;
+    
     // Configuration
     const PROGRESS_SECONDS = [5, 10, 15, 30, 45, 60, 75, 90]; // Editable array
+    const QUARTILES = [25, 50, 75, 100]; // Percent of the duration, sent as video_quartile
+    const MAX_PLAY_STEP_S = 2; // Larger forward jumps between timeupdates are seeks, not playback (x playback rate)
+    const END_TOLERANCE_S = 0.5; // Played to within this of the end counts as reaching 100%
+    const VOLUME_SETTLE_MS = 500; // One video_volume per slider drag
     
     // Tracking state
-    let videoState = {
-        isStarted: false,
-        duration: 0,
-        maxWatched: 0, // Anti-skip logic: track max watched time
-        progressTracked: new Set(), // Track which progress points have been sent
-        startTime: null,
-        totalWatchedMs: 0,
-        videoType: null // 'html5' or 'vimeo'
+    let trackerState = {
+        studyId: null, // From the stimulus manifest
+        videos: [], // One state per tracked video, in the order they were found
+        elements: new Map(), // Element -> its video state
+        isStarted: false // Tracking has started (stimulus rendered)
     };
     
+    /**
+     * Fresh state for one video
+     */
+    function createVideoState(videoId, videoType, slide) {
+        return {
+            videoId: videoId, // data-video-id, element id or <type>_<n>
+            videoType: videoType, // Adapter type: 'html5', 'vimeo' or 'youtube'
+            slideIndex: slide ? slide.index : null, // Carousel slide holding the video (null outside a carousel)
+            slideId: slide ? slide.id : null,
+            isStarted: false,
+            isCompleted: false, // video_complete sent (ended or unload) - only one per video
+            duration: 0,
+            maxWatched: 0, // Furthest position reached, played or seeked
+            playedRanges: [], // Merged [start, end] ranges actually played, in seconds
+            lastPosition: null, // Position at the previous timeupdate (null while paused)
+            currentPosition: null, // Last known position, playing or paused (where a seek starts)
+            progressTracked: new Set(), // Track which progress points have been sent
+            quartilesTracked: new Set(),
+            seekFrom: null, // Position when the current seek started
+            seekCount: 0,
+            muted: null,
+            volume: null,
+            volumeBefore: null, // Volume before the current slider drag
+            volumeTimer: null,
+            playbackRate: 1,
+            isFullscreen: false,
+            bufferStart: null, // When playback stalled (null while not buffering)
+            bufferCount: 0,
+            bufferMs: 0,
+            startTime: null,
+            totalWatchedMs: 0,
+            detach: null // Removes the adapter's listeners
+        };
+    }
+    
     /**
      * Initialize video tracking
      */
@@ -30,245 +73,481 @@
             return;
         }
         
-        // Try to find HTML5 video first
-        const html5Video = document.querySelector('#adVideo');
-        if (html5Video) {
-            setupHTML5VideoTracking(html5Video);
+        // Wait for the stimulus manifest to be rendered
+        if (window.Stimulus && !window.Stimulus.rendered) {
+            window.Stimulus.ready.then(initVideoTracking);
             return;
         }
         
-        // Try to find Vimeo iframe
-        const vimeoFrame = document.querySelector('#vimeoFrame');
-        if (vimeoFrame) {
-            setupVimeoTracking(vimeoFrame);
-            return;
+        if (trackerState.isStarted) return;
+        trackerState.isStarted = true;
+        
+        // Read tracking IDs from the stimulus manifest
+        const manifest = window.Stimulus && window.Stimulus.manifest;
+        if (manifest) {
+            trackerState.studyId = manifest.study_id;
         }
+        
+        findVideos(document);
+        
+        // Videos rendered later
+        const observer = new MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) findVideos(node);
+                });
+            });
+        });
+        observer.observe(document.body, { childList: true, subtree: true });
+    }
+    
+    /**
+     * Track every video in (or at) root that an adapter handles
+     */
+    function findVideos(root) {
+        const selector = window.VideoAdapters.selector();
+        const found = Array.from(root.querySelectorAll(selector));
+        if (root.matches && root.matches(selector)) {
+            found.unshift(root);
+        }
+        found.forEach(trackVideo);
     }
     
     /**
-     * Set up HTML5 video tracking
+     * Start tracking one video element - returns its state
      */
-    function setupHTML5VideoTracking(video) {
-        videoState.videoType = 'html5';
+    function trackVideo(element) {
+        if (trackerState.elements.has(element)) {
+            return trackerState.elements.get(element);
+        }
         
-        // Wait for video metadata to load
-        if (video.readyState >= 1) {
-            videoState.duration = video.duration;
-        } else {
-            video.addEventListener('loadedmetadata', () => {
-                videoState.duration = video.duration;
-            });
+        const adapter = window.VideoAdapters.adapterFor(element);
+        if (!adapter) return null;
+        
+        const state = createVideoState(videoIdFor(element, adapter), adapter.type, slideFor(element));
+        trackerState.videos.push(state);
+        trackerState.elements.set(element, state);
+        state.detach = adapter.attach(element, createHandlers(state));
+        
+        log.debug(`🎬 Tracking ${adapter.type} video ${state.videoId}`);
+        return state;
+    }
+    
+    /**
+     * video_id for an element - unique on the page, so two embeds of the same video
+     * still get separate states (the second becomes <id>_2)
+     */
+    function videoIdFor(element, adapter) {
+        const baseId = element.dataset.videoId || element.id ||
+            `${adapter.type}_${trackerState.videos.filter(video => video.videoType === adapter.type).length + 1}`;
+        
+        let videoId = baseId;
+        for (let n = 2; trackerState.videos.some(video => video.videoId === videoId); n++) {
+            videoId = `${baseId}_${n}`;
         }
+        return videoId;
+    }
+    
+    /**
+     * Carousel slide an element sits in, as { index, id }, or null
+     */
+    function slideFor(element) {
+        const slide = element.closest('.reel-carousel-slide');
+        if (!slide) return null;
         
-        // Track video start
-        video.addEventListener('play', () => {
-            if (!videoState.isStarted) {
-                trackVideoStart();
-                videoState.isStarted = true;
-                videoState.startTime = Date.now();
-            }
+        const slides = Array.from(slide.parentNode.querySelectorAll(':scope > .reel-carousel-slide'));
+        return { index: slides.indexOf(slide), id: slide.dataset.slideId || null };
+    }
+    
+    /**
+     * slide_index / slide_id for videos in a carousel slide
+     */
+    function slideParams(state) {
+        return state.slideIndex === null ? {} : { slide_index: state.slideIndex, slide_id: state.slideId };
+    }
+    
+    /**
+     * Adapter handlers for one video's state
+     */
+    function createHandlers(state) {
+        return {
+            onReady: (info) => handleReady(state, info),
+            onPlay: (position) => handlePlay(state, position),
+            onPause: (position) => handlePause(state, position),
+            onTimeUpdate: (position) => handlePosition(state, position),
+            onSeeking: () => handleSeeking(state),
+            onSeeked: (position, isPlaying) => handleSeek(state, state.seekFrom, position, isPlaying),
+            onEnded: (position) => handleEnded(state, position),
+            onVolumeChange: (muted, volume, position) => handleVolumeChange(state, muted, volume, position),
+            onRateChange: (rate, position) => handleRateChange(state, rate, position),
+            onFullscreenChange: (isFullscreen, position) => handleFullscreenChange(state, isFullscreen, position),
+            onBufferStart: () => handleBufferStart(state),
+            onBufferEnd: (position) => endBuffering(state, position)
+        };
+    }
+    
+    /**
+     * Player details as they become known (duration usually arrives after the rest)
+     */
+    function handleReady(state, info) {
+        if (Number.isFinite(info.duration) && info.duration > 0) {
+            state.duration = info.duration;
+        }
+        if (typeof info.muted === 'boolean') {
+            state.muted = info.muted;
+        }
+        if (Number.isFinite(info.volume)) {
+            state.volume = info.volume;
+        }
+        if (Number.isFinite(info.playbackRate) && info.playbackRate > 0) {
+            state.playbackRate = info.playbackRate;
+        }
+    }
+    
+    function handlePlay(state, position) {
+        if (!state.isStarted) {
+            state.isStarted = true;
+            trackVideoStart(state);
+        }
+        if (!state.startTime) {
+            state.startTime = Date.now();
+        }
+        state.lastPosition = position;
+        state.currentPosition = position;
+    }
+    
+    /**
+     * Track pause for watch time calculation
+     */
+    function handlePause(state, position) {
+        if (state.startTime) {
+            state.totalWatchedMs += Date.now() - state.startTime;
+            state.startTime = null;
+        }
+        handlePosition(state, position);
+        state.lastPosition = null;
+        endBuffering(state, position);
+    }
+    
+    function handleEnded(state, position) {
+        handlePosition(state, state.duration || position);
+        trackVideoComplete(state);
+    }
+    
+    /**
+     * Track video start event
+     */
+    function trackVideoStart(state) {
+        window.GALite.track('video_start', {
+            ...slideParams(state),
+            video_type: state.videoType,
+            video_id: state.videoId,
+            study_id: trackerState.studyId,
+            duration_s: state.duration
         });
-        
-        // Track progress during playback
-        video.addEventListener('timeupdate', () => {
-            const currentTime = video.currentTime;
-            
-            // Anti-skip logic: only update maxWatched if playing forward
-            if (currentTime > videoState.maxWatched) {
-                videoState.maxWatched = currentTime;
+    }
+    
+    /**
+     * New playback position - the step since the last one counts as played unless
+     * it's a jump (a seek the player didn't report) or the video is paused
+     */
+    function handlePosition(state, position) {
+        const last = state.lastPosition;
+        if (last !== null) {
+            const step = position - last;
+            if (step > 0 && step <= MAX_PLAY_STEP_S * Math.max(1, state.playbackRate)) {
+                addPlayedRange(state, last, position);
             }
-            
-            // Use maxWatched for progress tracking (not currentTime)
-            trackVideoProgress(videoState.maxWatched);
-        });
+            state.lastPosition = position;
+        }
+        state.currentPosition = position;
         
-        // Track video completion
-        video.addEventListener('ended', () => {
-            trackVideoComplete();
-        });
+        if (position > state.maxWatched) {
+            state.maxWatched = position;
+        }
         
-        // Track pause/resume for watch time calculation
-        video.addEventListener('pause', () => {
-            if (videoState.startTime) {
-                videoState.totalWatchedMs += Date.now() - videoState.startTime;
-                videoState.startTime = null;
-            }
-        });
+        trackVideoProgress(state);
+        trackQuartiles(state);
+    }
+    
+    /**
+     * Merge a played range into playedRanges
+     */
+    function addPlayedRange(state, start, end) {
+        const ranges = state.playedRanges.concat([[start, end]]).sort((a, b) => a[0] - b[0]);
+        const merged = [];
         
-        video.addEventListener('play', () => {
-            if (!videoState.startTime) {
-                videoState.startTime = Date.now();
+        ranges.forEach(range => {
+            const previous = merged[merged.length - 1];
+            if (previous && range[0] <= previous[1]) {
+                previous[1] = Math.max(previous[1], range[1]);
+            } else {
+                merged.push([range[0], range[1]]);
             }
         });
+        
+        state.playedRanges = merged;
     }
     
     /**
-     * Set up Vimeo iframe tracking using postMessage API
+     * Whether a position was actually played through
      */
-    function setupVimeoTracking(iframe) {
-        videoState.videoType = 'vimeo';
-        
-        // Enable Vimeo API
-        const src = iframe.src;
-        if (src.indexOf('api=1') === -1) {
-            iframe.src = src + (src.indexOf('?') === -1 ? '?' : '&') + 'api=1';
-        }
+    function isPlayed(state, position) {
+        return state.playedRanges.some(range => range[0] <= position && position <= range[1]);
+    }
+    
+    function getUniqueSecondsWatched(state) {
+        const total = state.playedRanges.reduce((sum, range) => sum + (range[1] - range[0]), 0);
+        return Math.round(total * 10) / 10;
+    }
+    
+    function roundPosition(seconds) {
+        return Math.round((seconds || 0) * 10) / 10;
+    }
+    
+    /**
+     * Parameters shared by the player interaction events
+     */
+    function videoParams(state, position) {
+        return {
+            ...slideParams(state),
+            video_type: state.videoType,
+            video_id: state.videoId,
+            position_s: roundPosition(position),
+            study_id: trackerState.studyId
+        };
+    }
+    
+    /**
+     * Track video progress at specified intervals (once each second has been played through)
+     */
+    function trackVideoProgress(state) {
+        if (!state.duration) return;
         
-        // Listen for Vimeo events
-        window.addEventListener('message', (event) => {
-            if (event.origin !== 'https://player.vimeo.com') return;
-            
-            try {
-                const data = JSON.parse(event.data);
-                handleVimeoEvent(data);
-            } catch (e) {
-                // Ignore non-JSON messages
+        PROGRESS_SECONDS.forEach(second => {
+            if (second <= state.duration && isPlayed(state, second) && !state.progressTracked.has(second)) {
+                state.progressTracked.add(second);
+                
+                window.GALite.track('video_progress', {
+                    ...slideParams(state),
+                    second: second,
+                    duration_s: state.duration,
+                    video_type: state.videoType,
+                    video_id: state.videoId,
+                    study_id: trackerState.studyId
+                });
             }
         });
+    }
+    
+    /**
+     * Track 25/50/75/100% quartiles once each point has been played through
+     * (100% when playback reaches the end)
+     */
+    function trackQuartiles(state) {
+        if (!state.duration) return;
         
-        // Request events from Vimeo
-        iframe.addEventListener('load', () => {
-            const commands = [
-                'addEventListener',
-                'play',
-                'pause',
-                'ended',
-                'timeupdate',
-                'loaded'
-            ];
+        QUARTILES.forEach(percent => {
+            if (state.quartilesTracked.has(percent)) return;
             
-            commands.forEach(command => {
-                iframe.contentWindow.postMessage(JSON.stringify({
-                    method: command,
-                    value: command === 'addEventListener' ? 'play' : undefined
-                }), 'https://player.vimeo.com');
+            const point = percent === 100 ?
+                Math.max(0, state.duration - END_TOLERANCE_S) : (state.duration * percent) / 100;
+            if (!isPlayed(state, point)) return;
+            
+            state.quartilesTracked.add(percent);
+            window.GALite.track('video_quartile', {
+                ...slideParams(state),
+                percent: percent,
+                duration_s: state.duration,
+                unique_seconds_watched: getUniqueSecondsWatched(state),
+                video_type: state.videoType,
+                video_id: state.videoId,
+                study_id: trackerState.studyId
             });
         });
     }
     
     /**
-     * Handle Vimeo player events
+     * One video_seek per scrub, from where it started to where it landed
      */
-    function handleVimeoEvent(data) {
-        switch (data.event) {
-            case 'ready':
-                // Get video duration
-                break;
-                
-            case 'play':
-                if (!videoState.isStarted) {
-                    trackVideoStart();
-                    videoState.isStarted = true;
-                    videoState.startTime = Date.now();
-                } else if (!videoState.startTime) {
-                    videoState.startTime = Date.now();
-                }
-                break;
-                
-            case 'pause':
-                if (videoState.startTime) {
-                    videoState.totalWatchedMs += Date.now() - videoState.startTime;
-                    videoState.startTime = null;
-                }
-                break;
-                
-            case 'timeupdate':
-                if (data.data) {
-                    const currentTime = data.data.seconds;
-                    const duration = data.data.duration;
-                    
-                    if (!videoState.duration && duration) {
-                        videoState.duration = duration;
-                    }
-                    
-                    // Anti-skip logic
-                    if (currentTime > videoState.maxWatched) {
-                        videoState.maxWatched = currentTime;
-                    }
-                    
-                    trackVideoProgress(videoState.maxWatched);
-                }
-                break;
-                
-            case 'ended':
-                trackVideoComplete();
-                break;
+    function handleSeeking(state) {
+        if (state.seekFrom === null) {
+            state.seekFrom = state.currentPosition !== null ? state.currentPosition : state.maxWatched;
         }
     }
     
     /**
-     * Track video start event
+     * Track a seek; playback continues from where it landed
      */
-    function trackVideoStart() {
-        window.GALite.track('video_start', {
-            video_type: videoState.videoType,
-            duration_s: videoState.duration
+    function handleSeek(state, from, to, isPlaying) {
+        state.seekFrom = null;
+        if (from === null || from === undefined || Math.abs(to - from) < 0.1) return;
+        
+        state.seekCount += 1;
+        state.lastPosition = isPlaying ? to : null;
+        state.currentPosition = to;
+        if (to > state.maxWatched) {
+            state.maxWatched = to;
+        }
+        
+        window.GALite.track('video_seek', {
+            ...videoParams(state, to),
+            from_s: roundPosition(from),
+            to_s: roundPosition(to),
+            direction: to > from ? 'forward' : 'back',
+            seek_count: state.seekCount
         });
     }
     
     /**
-     * Track video progress at specified intervals
+     * Mute/unmute right away; volume once the slider settles
      */
-    function trackVideoProgress(currentSeconds) {
-        if (!videoState.duration) return;
+    function handleVolumeChange(state, muted, volume, position) {
+        if (muted !== state.muted) {
+            state.muted = muted;
+            window.GALite.track('video_mute', {
+                ...videoParams(state, position),
+                muted: muted,
+                volume: Math.round(volume * 100) / 100
+            });
+        }
         
-        PROGRESS_SECONDS.forEach(second => {
-            if (currentSeconds >= second && !videoState.progressTracked.has(second)) {
-                videoState.progressTracked.add(second);
-                
-                window.GALite.track('video_progress', {
-                    second: second,
-                    duration_s: videoState.duration,
-                    video_type: videoState.videoType
-                });
+        if (volume !== state.volume) {
+            if (state.volumeBefore === null) {
+                state.volumeBefore = state.volume;
             }
+            state.volume = volume;
+            
+            clearTimeout(state.volumeTimer);
+            state.volumeTimer = setTimeout(() => {
+                window.GALite.track('video_volume', {
+                    ...videoParams(state, position),
+                    volume: Math.round(state.volume * 100) / 100,
+                    previous_volume: Math.round(state.volumeBefore * 100) / 100,
+                    muted: state.muted
+                });
+                state.volumeBefore = null;
+                state.volumeTimer = null;
+            }, VOLUME_SETTLE_MS);
+        }
+    }
+    
+    function handleRateChange(state, rate, position) {
+        if (rate === state.playbackRate) return;
+        
+        const previous = state.playbackRate;
+        state.playbackRate = rate;
+        
+        window.GALite.track('video_rate', {
+            ...videoParams(state, position),
+            playback_rate: rate,
+            previous_rate: previous
+        });
+    }
+    
+    function handleFullscreenChange(state, isFullscreen, position) {
+        if (isFullscreen === state.isFullscreen) return;
+        
+        state.isFullscreen = isFullscreen;
+        window.GALite.track('video_fullscreen', {
+            ...videoParams(state, position),
+            fullscreen: isFullscreen
+        });
+    }
+    
+    function handleBufferStart(state) {
+        if (state.bufferStart === null) {
+            state.bufferStart = Date.now();
+        }
+    }
+    
+    /**
+     * Playback resumed (or paused) after a stall - track how long it buffered
+     */
+    function endBuffering(state, position) {
+        if (state.bufferStart === null) return;
+        
+        const bufferMs = Date.now() - state.bufferStart;
+        state.bufferStart = null;
+        state.bufferCount += 1;
+        state.bufferMs += bufferMs;
+        
+        window.GALite.track('video_buffering', {
+            ...videoParams(state, position),
+            buffer_ms: bufferMs,
+            buffer_count: state.bufferCount
         });
     }
     
+    /**
+     * Parameters for video_complete, from ended or unload
+     */
+    function completionParams(state) {
+        // Percent of the video actually played, not the furthest position reached
+        const percentWatched = state.duration > 0 ?
+            Math.min(100, Math.round((getUniqueSecondsWatched(state) / state.duration) * 100)) : 0;
+        
+        return {
+            ...slideParams(state),
+            watched_ms: state.totalWatchedMs,
+            percent_watched: percentWatched,
+            unique_seconds_watched: getUniqueSecondsWatched(state),
+            max_watched_s: state.maxWatched,
+            duration_s: state.duration,
+            seek_count: state.seekCount,
+            buffer_count: state.bufferCount,
+            buffer_ms: state.bufferMs,
+            video_type: state.videoType,
+            video_id: state.videoId,
+            study_id: trackerState.studyId
+        };
+    }
+    
     /**
      * Track video completion
      */
-    function trackVideoComplete() {
+    function trackVideoComplete(state) {
+        if (state.isCompleted) return;
+        state.isCompleted = true;
+        
         // Calculate final watch time
-        if (videoState.startTime) {
-            videoState.totalWatchedMs += Date.now() - videoState.startTime;
-            videoState.startTime = null;
+        if (state.startTime) {
+            state.totalWatchedMs += Date.now() - state.startTime;
+            state.startTime = null;
         }
         
-        // Calculate percent watched based on maxWatched (anti-skip)
-        const percentWatched = videoState.duration > 0 ? 
-            Math.round((videoState.maxWatched / videoState.duration) * 100) : 0;
-        
-        window.GALite.track('video_complete', {
-            watched_ms: videoState.totalWatchedMs,
-            percent_watched: percentWatched,
-            max_watched_s: videoState.maxWatched,
-            duration_s: videoState.duration,
-            video_type: videoState.videoType
-        });
+        window.GALite.track('video_complete', completionParams(state));
     }
     
     /**
-     * Handle page unload - track completion if video was playing
+     * Handle page unload - track completion for every video that was started but hasn't
+     * ended (the feed may already have paused it as its reel exited)
      */
     function handlePageUnload() {
-        if (videoState.isStarted && videoState.startTime) {
+        trackerState.videos.forEach(state => {
+            if (!state.isStarted || state.isCompleted) return;
+            state.isCompleted = true;
+            
             // Add final watch time
-            videoState.totalWatchedMs += Date.now() - videoState.startTime;
+            if (state.startTime) {
+                state.totalWatchedMs += Date.now() - state.startTime;
+                state.startTime = null;
+            }
             
             // Track as incomplete completion
-            const percentWatched = videoState.duration > 0 ? 
-                Math.round((videoState.maxWatched / videoState.duration) * 100) : 0;
-            
             window.GALite.track('video_complete', {
-                watched_ms: videoState.totalWatchedMs,
-                percent_watched: percentWatched,
-                max_watched_s: videoState.maxWatched,
-                duration_s: videoState.duration,
-                video_type: videoState.videoType,
+                ...completionParams(state),
                 completed_naturally: false
             });
-        }
+        });
+    }
+    
+    /**
+     * Watch time across all videos, including the current play segments
+     */
+    function getWatchedMs() {
+        return trackerState.videos.reduce((total, state) =>
+            total + state.totalWatchedMs + (state.startTime ? Date.now() - state.startTime : 0), 0);
     }
     
     // Initialize when DOM is ready
@@ -284,7 +563,16 @@
     
     // Expose for debugging (optional)
     window.VideoTracker = {
-        getState: () => ({ ...videoState }),
+        getState: () => ({
+            studyId: trackerState.studyId,
+            videos: trackerState.videos.map(({ detach, volumeTimer, ...state }) => state)
+        }),
+        getVideo: (videoId) => {
+            const state = trackerState.videos.find(video => video.videoId === videoId);
+            return state ? { ...state } : null;
+        },
+        getWatchedMs: getWatchedMs,
+        track: trackVideo,
         PROGRESS_SECONDS: PROGRESS_SECONDS
     };
     
@@ -0,0 +1,265 @@
+/**
+ * GA4 Viewability Tracking
+ * IAB/MRC viewability for the ad reel and each carousel slide:
+ * 50% of pixels in view for 1 continuous second (display) or 2 seconds (video, while playing)
+ * In-view time is also kept regardless of playback, for when a video ad fails to play
+ */
+
+(function() {
+    'use strict';
+    
+    const log = window.StudyLog;
+    
+    // Configuration
+    const VIEWABLE_RATIO = 0.5; // Share of pixels that must be in the viewport
+    const DISPLAY_MIN_MS = 1000; // Continuous in-view time for display ads
+    const VIDEO_MIN_MS = 2000; // Continuous in-view playing time for video ads
+    
+    // Tracking state
+    let viewabilityState = {
+        isStarted: false,
+        startTime: null,
+        summarySent: false,
+        ad: null,
+        slides: []
+    };
+    
+    /**
+     * Initialize viewability tracking
+     */
+    function initViewabilityTracking() {
+        // Wait for GALite to be available
+        if (!window.GALite) {
+            setTimeout(initViewabilityTracking, 100);
+            return;
+        }
+        
+        // Wait for the stimulus manifest to be rendered
+        if (window.Stimulus && !window.Stimulus.rendered) {
+            window.Stimulus.ready.then(initViewabilityTracking);
+            return;
+        }
+        
+        if (!window.ViewabilityTracker.isSupported) {
+            log.warn('❌ IntersectionObserver unavailable, viewability not measured');
+            return;
+        }
+        
+        const adReel = document.querySelector('.reel[data-reel-type="ad"]');
+        if (!adReel) {
+            log.warn('❌ No ad reel found for viewability');
+            return;
+        }
+        
+        const video = adReel.querySelector('.reel-video');
+        viewabilityState.ad = createTarget(adReel, 'ad', null, video);
+        // Video slides use the video standard, like a video ad
+        viewabilityState.slides = Array.from(adReel.querySelectorAll('.reel-carousel-slide'))
+            .map((slide, index) => createTarget(slide, 'slide', index, slide.querySelector('video')));
+        
+        allTargets().forEach(target => {
+            if (target.video) {
+                target.video.addEventListener('play', () => updateTarget(target));
+                target.video.addEventListener('pause', () => updateTarget(target));
+            }
+        });
+        
+        log.debug(`👀 Initialized viewability for ad reel and ${viewabilityState.slides.length} slides`);
+        
+        waitForTapToStart();
+    }
+    
+    function createTarget(element, kind, slideIndex, video) {
+        return {
+            element: element,
+            kind: kind, // 'ad' or 'slide'
+            slideIndex: slideIndex,
+            video: video,
+            minMs: video ? VIDEO_MIN_MS : DISPLAY_MIN_MS,
+            inView: false, // At least VIEWABLE_RATIO in the viewport
+            visibleSince: null, // Start of the current in-view run
+            viewableMs: 0, // Total in-view time (any run length)
+            inViewSince: null, // Start of the current in-view run, playing or not
+            inViewMs: 0, // Total in-view time whether or not the video played (display standard)
+            isViewable: false, // MRC threshold met at least once
+            timer: null
+        };
+    }
+    
+    /**
+     * Wait for tap-to-start - the overlay covers the ad until then
+     */
+    function waitForTapToStart() {
+        const tapOverlay = document.getElementById('tap-to-start-overlay');
+        if (!tapOverlay || tapOverlay.classList.contains('hidden') ||
+            window.getComputedStyle(tapOverlay).display === 'none') {
+            startViewabilityTracking();
+            return;
+        }
+        
+        tapOverlay.addEventListener('click', startViewabilityTracking, { once: true });
+    }
+    
+    /**
+     * Start observing the ad reel and its slides against the viewport
+     */
+    function startViewabilityTracking() {
+        if (viewabilityState.isStarted) return;
+        viewabilityState.isStarted = true;
+        viewabilityState.startTime = Date.now();
+        
+        const observer = new IntersectionObserver(handleIntersections, {
+            threshold: [0, VIEWABLE_RATIO, 1]
+        });
+        
+        allTargets().forEach(target => observer.observe(target.element));
+    }
+    
+    function allTargets() {
+        return viewabilityState.ad ? [viewabilityState.ad].concat(viewabilityState.slides) : [];
+    }
+    
+    function handleIntersections(entries) {
+        entries.forEach(entry => {
+            const target = allTargets().find(candidate => candidate.element === entry.target);
+            if (!target) return;
+            
+            target.inView = entry.isIntersecting && entry.intersectionRatio >= VIEWABLE_RATIO;
+            updateTarget(target);
+        });
+    }
+    
+    /**
+     * Whether a target is on screen in a visible page (playing or not)
+     */
+    function isInView(target) {
+        return target.inView && !document.hidden;
+    }
+    
+    /**
+     * Whether a target's in-view time is currently counting
+     */
+    function isCounting(target) {
+        return isInView(target) && (!target.video || !target.video.paused);
+    }
+    
+    /**
+     * Start or stop a target's in-view runs after any state change
+     */
+    function updateTarget(target) {
+        const now = Date.now();
+        
+        if (isInView(target) && target.inViewSince === null) {
+            target.inViewSince = now;
+        } else if (!isInView(target) && target.inViewSince !== null) {
+            target.inViewMs += now - target.inViewSince;
+            target.inViewSince = null;
+        }
+        
+        if (isCounting(target) && target.visibleSince === null) {
+            target.visibleSince = now;
+            if (!target.isViewable) {
+                target.timer = setTimeout(() => markViewable(target), target.minMs);
+            }
+        } else if (!isCounting(target) && target.visibleSince !== null) {
+            target.viewableMs += now - target.visibleSince;
+            target.visibleSince = null;
+            clearTimeout(target.timer);
+            target.timer = null;
+        }
+    }
+    
+    /**
+     * MRC threshold met - emit ad_viewable or slide_viewable once per target
+     */
+    function markViewable(target) {
+        target.timer = null;
+        if (target.isViewable || !isCounting(target)) return;
+        target.isViewable = true;
+        
+        const params = {
+            viewable_standard: target.video ? 'mrc_video' : 'mrc_display',
+            min_continuous_ms: target.minMs,
+            time_to_viewable_ms: Date.now() - viewabilityState.startTime
+        };
+        
+        if (target.kind === 'ad') {
+            log.debug('👀 Ad reel viewable');
+            window.GALite.track('ad_viewable', params);
+        } else {
+            log.debug(`👀 Slide ${target.slideIndex} viewable`);
+            window.GALite.track('slide_viewable', {
+                ...params,
+                slide_index: target.slideIndex,
+                total_slides: viewabilityState.slides.length
+            });
+        }
+    }
+    
+    /**
+     * Total in-view time including the current run
+     */
+    function getViewableMs(target) {
+        if (!target) return 0;
+        const running = target.visibleSince !== null ? Date.now() - target.visibleSince : 0;
+        return target.viewableMs + running;
+    }
+    
+    /**
+     * Total on-screen time including the current run, whether or not a video played
+     */
+    function getInViewMs(target) {
+        if (!target) return 0;
+        const running = target.inViewSince !== null ? Date.now() - target.inViewSince : 0;
+        return target.inViewMs + running;
+    }
+    
+    function handleVisibilityChange() {
+        allTargets().forEach(updateTarget);
+    }
+    
+    /**
+     * Handle page unload - report viewable time separately from dwell time
+     */
+    function handlePageUnload() {
+        if (!viewabilityState.isStarted || viewabilityState.summarySent) return;
+        viewabilityState.summarySent = true;
+        
+        const slides = viewabilityState.slides;
+        
+        window.GALite.track('viewability_summary', {
+            ad_viewable: viewabilityState.ad.isViewable,
+            ad_viewable_ms: getViewableMs(viewabilityState.ad),
+            slides_viewable: slides.filter(slide => slide.isViewable).length,
+            total_slides: slides.length,
+            slide_viewable_ms: slides.map(getViewableMs).join(',')
+        });
+    }
+    
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initViewabilityTracking);
+    } else {
+        initViewabilityTracking();
+    }
+    
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', handlePageUnload);
+    
+    // Expose viewable time for the other trackers and debugging
+    window.ViewabilityTracker = {
+        isSupported: typeof window.IntersectionObserver === 'function',
+        getAdViewableMs: () => getViewableMs(viewabilityState.ad),
+        getAdInViewMs: () => getInViewMs(viewabilityState.ad),
+        getSlideViewableMs: (slideIndex) => getViewableMs(viewabilityState.slides[slideIndex]),
+        getState: () => ({
+            isStarted: viewabilityState.isStarted,
+            ad: viewabilityState.ad && { isViewable: viewabilityState.ad.isViewable, viewableMs: getViewableMs(viewabilityState.ad) },
+            slides: viewabilityState.slides.map(slide => ({ isViewable: slide.isViewable, viewableMs: getViewableMs(slide) }))
+        }),
+        VIEWABLE_RATIO: VIEWABLE_RATIO,
+        DISPLAY_MIN_MS: DISPLAY_MIN_MS,
+        VIDEO_MIN_MS: VIDEO_MIN_MS
+    };
+    
+})();
@@ -0,0 +1,60 @@
+/**
+ * Study console logger
+ * Keeps production sessions quiet: only warnings and errors by default,
+ * everything with ?debug=1, or pick a level with ?log_level=info
+ */
+
+(function() {
+    'use strict';
+    
+    // Configuration
+    const LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+    const DEFAULT_LEVEL = 'warn';
+    const DEBUG_LEVEL = 'debug'; // Level used with ?debug=1
+    const LOG_LEVEL_PARAM = 'log_level';
+    
+    /**
+     * Get log level from ?log_level=, ?debug=1 or the default
+     */
+    function getInitialLevel() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const requested = urlParams.get(LOG_LEVEL_PARAM);
+        
+        if (requested && LEVELS.includes(requested)) {
+            return requested;
+        }
+        return urlParams.get('debug') === '1' ? DEBUG_LEVEL : DEFAULT_LEVEL;
+    }
+    
+    let level = getInitialLevel();
+    
+    function isEnabled(messageLevel) {
+        return LEVELS.indexOf(messageLevel) <= LEVELS.indexOf(level);
+    }
+    
+    /**
+     * Logger for one level, bound to the matching console method
+     */
+    function logger(messageLevel, method) {
+        return (...args) => {
+            if (isEnabled(messageLevel)) {
+                console[method](...args);
+            }
+        };
+    }
+    
+    window.StudyLog = {
+        error: logger('error', 'error'),
+        warn: logger('warn', 'warn'),
+        info: logger('info', 'info'),
+        debug: logger('debug', 'log'),
+        getLevel: () => level,
+        setLevel: (newLevel) => {
+            if (LEVELS.includes(newLevel)) {
+                level = newLevel;
+            }
+        },
+        LEVELS: LEVELS
+    };
+    
+})();
@@ -0,0 +1,246 @@
+/**
+ * Participant ID intake
+ * Recognizes the recruitment platform from the URL parameters it appends - Prolific,
+ * MTurk, SONA or Qualtrics - and checks the ID against the platform's format. Without
+ * an ID in the URL, asks for one in an in-page modal (#participant-modal) instead of
+ * a blocking prompt(). ga-lite.js sends the result as user_id, user properties and a
+ * participant_identified event; js/condition.js waits for it before assigning an arm.
+ * Nothing is read or asked until the participant accepts the consent text (consent.js).
+ */
+
+(function() {
+    'use strict';
+    
+    const log = window.StudyLog;
+    
+    // Configuration - platforms are checked in this order
+    const PLATFORMS = [
+        {
+            id: 'prolific',
+            idParams: ['PROLIFIC_PID', 'PROLIFIC_ID'], // PROLIFIC_ID for links made before the platform adapters
+            pattern: /^[a-f0-9]{24}$/i,
+            studyParam: 'STUDY_ID',
+            sessionParam: 'SESSION_ID',
+            label: 'Prolific ID'
+        },
+        {
+            id: 'mturk',
+            idParams: ['workerId'],
+            pattern: /^A[A-Z0-9]{9,20}$/,
+            studyParam: 'hitId',
+            sessionParam: 'assignmentId',
+            label: 'MTurk Worker ID'
+        },
+        {
+            id: 'qualtrics',
+            idParams: ['ResponseID'],
+            pattern: /^R_[A-Za-z0-9]{11,18}$/,
+            studyParam: 'SurveyID',
+            sessionParam: null,
+            label: 'Qualtrics Response ID'
+        },
+        {
+            id: 'sona',
+            idParams: ['id'], // SONA's %SURVEY_CODE%
+            pattern: /^\d{1,12}$/,
+            studyParam: 'experiment_id',
+            sessionParam: null,
+            label: 'SONA ID'
+        }
+    ];
+    const PLACEHOLDER_PATTERN = /[{}%$]/; // Unfilled piped text, e.g. {{%PROLIFIC_PID%}} or ${e://Field/ResponseID}
+    const PARTICIPANT_KEY = 'study_participant'; // sessionStorage key so reloads don't ask again
+    
+    let resolveReady;
+    
+    // Global participant state
+    window.StudyParticipant = {
+        id: null,
+        platform: null, // 'prolific', 'mturk', 'qualtrics' or 'sona'
+        source: null, // 'url', 'manual', 'session' or 'replay'
+        isValid: null, // The ID matches its platform's format
+        studyId: null, // Platform study (Prolific STUDY_ID, MTurk hitId, ...) if the URL has one
+        sessionId: null, // Platform session (Prolific SESSION_ID, MTurk assignmentId) if the URL has one
+        ready: new Promise(resolve => { resolveReady = resolve; })
+    };
+    
+    function getPlatform(platformId) {
+        return PLATFORMS.find(platform => platform.id === platformId) || null;
+    }
+    
+    /**
+     * Check an ID against a platform's format
+     */
+    function isValidId(platformId, participantId) {
+        const platform = getPlatform(platformId);
+        return Boolean(platform && participantId && platform.pattern.test(participantId));
+    }
+    
+    /**
+     * Platform whose format an ID matches (manual entry), or null
+     */
+    function detectPlatform(participantId) {
+        const platform = PLATFORMS.find(candidate => candidate.pattern.test(participantId));
+        return platform ? platform.id : null;
+    }
+    
+    /**
+     * Read a URL parameter, treating piped text the platform never filled in as missing
+     */
+    function readParam(urlParams, name) {
+        const value = (urlParams.get(name) || '').trim();
+        if (!value) return null;
+        if (PLACEHOLDER_PATTERN.test(value)) {
+            log.warn(`⚠️ Ignoring unfilled ${name} placeholder: ${value}`);
+            return null;
+        }
+        return value;
+    }
+    
+    /**
+     * Find the first platform with an ID in the URL. IDs in the wrong format are still
+     * used (isValid: false) so a participant is never locked out by a format change.
+     */
+    function readFromUrl(urlParams) {
+        for (const platform of PLATFORMS) {
+            const participantId = platform.idParams.map(name => readParam(urlParams, name)).find(Boolean);
+            if (!participantId) continue;
+            
+            const isValid = platform.pattern.test(participantId);
+            if (!isValid) {
+                log.warn(`⚠️ ${platform.label} "${participantId}" does not match the expected format`);
+            }
+            
+            return {
+                id: participantId,
+                platform: platform.id,
+                source: 'url',
+                isValid: isValid,
+                studyId: platform.studyParam ? readParam(urlParams, platform.studyParam) : null,
+                sessionId: platform.sessionParam ? readParam(urlParams, platform.sessionParam) : null
+            };
+        }
+        return null;
+    }
+    
+    function readStoredParticipant() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(PARTICIPANT_KEY));
+            return stored && stored.id ? { ...stored, source: 'session' } : null;
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    function storeParticipant(participant) {
+        try {
+            sessionStorage.setItem(PARTICIPANT_KEY, JSON.stringify(participant));
+        } catch (e) {
+            // Fail silently - a reload asks again
+        }
+    }
+    
+    /**
+     * Ask for the ID in the in-page modal; resolves once an ID is entered. An ID matching
+     * no platform's format gets a warning first, and is used (isValid: false) if it is
+     * submitted again unchanged - like the URL, the modal never locks a participant out.
+     */
+    function askForId() {
+        const modal = document.getElementById('participant-modal');
+        const form = document.getElementById('participant-form');
+        const input = document.getElementById('participant-id-input');
+        const error = document.getElementById('participant-modal-error');
+        let warnedId = null; // Unrecognized ID the participant was warned about
+        
+        return new Promise(resolve => {
+            form.addEventListener('submit', function handleSubmit(e) {
+                e.preventDefault();
+                
+                const participantId = input.value.trim();
+                const platformId = participantId ? detectPlatform(participantId) : null;
+                
+                if (!participantId || (!platformId && participantId !== warnedId)) {
+                    error.textContent = participantId ?
+                        'That doesn\'t look like a Prolific, MTurk, SONA or Qualtrics ID - please check it, ' +
+                        'or press Continue again to use it as entered.' :
+                        'Please enter your participant ID to continue.';
+                    warnedId = participantId || null;
+                    input.setAttribute('aria-invalid', 'true');
+                    input.focus();
+                    return;
+                }
+                
+                form.removeEventListener('submit', handleSubmit);
+                modal.hidden = true;
+                
+                if (!platformId) {
+                    log.warn(`⚠️ Participant ID "${participantId}" matches no platform's format, using it anyway`);
+                }
+                
+                const participant = {
+                    id: participantId,
+                    platform: platformId,
+                    source: 'manual',
+                    isValid: Boolean(platformId),
+                    studyId: null,
+                    sessionId: null
+                };
+                storeParticipant(participant);
+                resolve(participant);
+            });
+            
+            modal.hidden = false;
+            input.focus();
+            log.debug('🪪 No participant ID in the URL, asking in the intake modal');
+        });
+    }
+    
+    /**
+     * Resolve the participant from the URL, this tab's earlier entry or the modal
+     */
+    function resolveParticipant() {
+        const urlParams = new URLSearchParams(window.location.search);
+        
+        const fromUrl = readFromUrl(urlParams);
+        if (fromUrl) {
+            return Promise.resolve(fromUrl);
+        }
+        
+        // Replaying a recorded session (replay.html always passes the ID) - never ask
+        if (window.GALite && window.GALite.replay) {
+            return Promise.resolve({ id: 'replay', platform: null, source: 'replay', isValid: false, studyId: null, sessionId: null });
+        }
+        
+        return Promise.resolve(readStoredParticipant() || askForId());
+    }
+    
+    /**
+     * Resolve the participant once consent is given (ga-lite.js takes it from here)
+     */
+    function initParticipant() {
+        const consentReady = window.StudyConsent ? window.StudyConsent.ready : Promise.resolve();
+        
+        consentReady.then(resolveParticipant).then(participant => {
+            const state = window.StudyParticipant;
+            Object.assign(state, participant);
+            
+            log.info(`🪪 Participant ${participant.id} (${participant.platform || 'unknown platform'}, ${participant.source})`);
+            
+            resolveReady(state);
+        });
+    }
+    
+    // Expose platform helpers for QA
+    window.StudyParticipant.platforms = PLATFORMS.map(platform => platform.id);
+    window.StudyParticipant.isValidId = isValidId;
+    window.StudyParticipant.detectPlatform = detectPlatform;
+    window.StudyParticipant.readFromUrl = readFromUrl;
+    
+    // Initialize when DOM is ready (the modal markup is at the end of index.html)
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initParticipant);
+    } else {
+        initParticipant();
+    }
+    
+})();
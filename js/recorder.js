@@ -0,0 +1,258 @@
+/**
+ * Session timeline recorder
+ * Compact, timestamped timeline of every gesture, scroll, slide change, visibility/focus
+ * change and engagement tap - the raw per-participant record GA4 can't give us.
+ * Downloadable as JSON in debug mode, or sent to RECORDER_URL in chunks.
+ * Play a timeline back with replay.html.
+ *
+ * Entries are arrays: [t, type, ...fields], t = ms since the recording started
+ *   [t, 'start']                                  tap-to-start
+ *   [t, 'p', phase, x, y]                         pointer down/move/up/cancel ('d'/'m'/'u'/'c'), x/y as viewport fractions
+ *   [t, 'scroll', reels]                          feed scroll position in reels (1.5 = halfway into reel 2)
+ *   [t, 'swipe', outcome, direction, distancePx, durationMs]
+ *   [t, 'slide', index, direction, inputMethod, advance]
+ *   [t, 'vis', 'hidden' | 'visible']
+ *   [t, 'focus', 1 | 0]
+ *   [t, 'tap', action, reelPosition, undo]        engagement taps
+ *   [t, 'ev', name, seq]                          every GALite event, to line up with GA4 data
+ */
+
+(function() {
+    'use strict';
+    
+    const log = window.StudyLog;
+    
+    // Configuration
+    const FORMAT_VERSION = 1;
+    const RECORDER_URL = null; // Endpoint for timeline chunks, e.g. '/timeline' on server/collector.js (null = keep in the page only)
+    const FLUSH_INTERVAL_MS = 15000; // Send new entries this often when RECORDER_URL is set
+    const MAX_ENTRIES = 20000; // Stop recording beyond this (a normal session is well under)
+    const POINTER_MOVE_INTERVAL_MS = 50; // Throttle for pointer moves
+    const SCROLL_INTERVAL_MS = 100; // Throttle for feed scroll positions
+    
+    // Recording state
+    let recorderState = {
+        isRecording: false,
+        startTime: performance.now(),
+        startedAt: Date.now(), // Wall-clock time of t = 0
+        entries: [],
+        sentCount: 0, // Entries already sent to RECORDER_URL
+        isSending: false,
+        chunk: 0,
+        lastPointerMove: 0,
+        lastScroll: 0
+    };
+    
+    /**
+     * Start recording once consent is given, unless the page is itself a replay
+     */
+    function initRecorder() {
+        if (!window.GALite || window.GALite.replay) return;
+        
+        if (window.StudyConsent) {
+            window.StudyConsent.ready.then(startRecording);
+        } else {
+            startRecording();
+        }
+    }
+    
+    function startRecording() {
+        recorderState.isRecording = true;
+        recorderState.startTime = performance.now();
+        recorderState.startedAt = Date.now();
+        
+        document.addEventListener('pointerdown', (e) => recordPointer('d', e), { capture: true, passive: true });
+        document.addEventListener('pointermove', (e) => recordPointer('m', e), { capture: true, passive: true });
+        document.addEventListener('pointerup', (e) => recordPointer('u', e), { capture: true, passive: true });
+        document.addEventListener('pointercancel', (e) => recordPointer('c', e), { capture: true, passive: true });
+        document.addEventListener('scroll', handleScroll, { capture: true, passive: true });
+        document.addEventListener('visibilitychange', () => record('vis', document.hidden ? 'hidden' : 'visible'));
+        window.addEventListener('focus', () => record('focus', 1));
+        window.addEventListener('blur', () => record('focus', 0));
+        window.addEventListener('galite:track', handleTrackedEvent);
+        
+        // Carousel events come from the rendered ad reel
+        if (window.Stimulus) {
+            window.Stimulus.ready.then(attachCarouselListeners);
+        } else if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', attachCarouselListeners);
+        } else {
+            attachCarouselListeners();
+        }
+        
+        if (RECORDER_URL) {
+            setInterval(() => sendEntries(false), FLUSH_INTERVAL_MS);
+        }
+        window.addEventListener('pagehide', () => sendEntries(true));
+        
+        log.debug('⏺️ Timeline recording started');
+    }
+    
+    function attachCarouselListeners() {
+        const tapOverlay = document.getElementById('tap-to-start-overlay');
+        if (tapOverlay) {
+            tapOverlay.addEventListener('click', () => record('start'), { once: true });
+        }
+        
+        const carousel = document.querySelector('.reel-carousel');
+        if (!carousel) return;
+        
+        carousel.addEventListener('carousel:slidechange', (e) => {
+            record('slide', e.detail.index, e.detail.direction, e.detail.inputMethod || null, e.detail.advance || 'manual');
+        });
+        carousel.addEventListener('carousel:swipe', (e) => {
+            record('swipe', e.detail.outcome, e.detail.direction, e.detail.distancePx, e.detail.durationMs);
+        });
+    }
+    
+    /**
+     * Append one entry, timestamped relative to the start of recording
+     */
+    function record(type, ...fields) {
+        if (!recorderState.isRecording) return;
+        
+        if (recorderState.entries.length >= MAX_ENTRIES) {
+            recorderState.isRecording = false;
+            log.warn('⚠️ Timeline recording stopped - entry limit reached');
+            return;
+        }
+        
+        const t = Math.round(performance.now() - recorderState.startTime);
+        recorderState.entries.push([t, type].concat(fields));
+    }
+    
+    function round3(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+    
+    function recordPointer(phase, e) {
+        if (phase === 'm') {
+            const now = performance.now();
+            if (now - recorderState.lastPointerMove < POINTER_MOVE_INTERVAL_MS) return;
+            recorderState.lastPointerMove = now;
+        }
+        
+        record('p', phase, round3(e.clientX / window.innerWidth), round3(e.clientY / window.innerHeight));
+    }
+    
+    function handleScroll(e) {
+        const container = e.target;
+        if (!container || container.id !== 'reels-container' || !container.clientHeight) return;
+        
+        const now = performance.now();
+        if (now - recorderState.lastScroll < SCROLL_INTERVAL_MS) return;
+        recorderState.lastScroll = now;
+        
+        record('scroll', round3(container.scrollTop / container.clientHeight));
+    }
+    
+    function handleTrackedEvent(e) {
+        const params = e.detail.params;
+        
+        if (e.detail.name === 'engagement') {
+            record('tap', params.action, params.reel_position, params.undo);
+        }
+        record('ev', e.detail.name, params.seq);
+    }
+    
+    /**
+     * Session details needed to rebuild the same feed on replay
+     */
+    function getHeader() {
+        return {
+            format_version: FORMAT_VERSION,
+            session_id: window.GALite.sessionId,
+            participant_id: window.GALite.userId,
+            condition: window.StudyCondition ? window.StudyCondition.arm : null,
+            stimulus: window.Stimulus ? window.Stimulus.manifestName : null,
+            ad_position: window.Stimulus ? window.Stimulus.adPosition : null,
+            slide_order_mode: window.Stimulus ? window.Stimulus.slideOrderMode : null,
+            consent_version: window.StudyConsent ? window.StudyConsent.version : null,
+            schema_version: window.GALite.schemaVersion,
+            started_at: recorderState.startedAt,
+            viewport: { width: window.innerWidth, height: window.innerHeight },
+            user_agent: navigator.userAgent
+        };
+    }
+    
+    /**
+     * Full timeline as a JSON-ready object
+     */
+    function getTimeline() {
+        return { ...getHeader(), entries: recorderState.entries.slice() };
+    }
+    
+    /**
+     * Download the timeline as a JSON file (debug mode only)
+     */
+    function download() {
+        if (!window.GALite.debug) {
+            log.warn('⚠️ Timeline download is only available with ?debug=1');
+            return;
+        }
+        
+        const timeline = getTimeline();
+        const blob = new Blob([JSON.stringify(timeline)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `timeline-${timeline.participant_id}-${timeline.session_id}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+    
+    /**
+     * Send entries recorded since the last chunk to RECORDER_URL
+     * (from_index lets the collector drop a chunk that arrives twice)
+     */
+    function sendEntries(isUnloading) {
+        if (!RECORDER_URL || recorderState.sentCount >= recorderState.entries.length) return;
+        if (recorderState.isSending && !isUnloading) return;
+        
+        const toIndex = recorderState.entries.length;
+        const entries = recorderState.entries.slice(recorderState.sentCount, toIndex);
+        const payload = JSON.stringify({
+            ...getHeader(),
+            chunk: recorderState.chunk,
+            from_index: recorderState.sentCount,
+            entries: entries
+        });
+        
+        recorderState.chunk += 1;
+        
+        if (isUnloading && typeof navigator.sendBeacon === 'function' &&
+            navigator.sendBeacon(RECORDER_URL, new Blob([payload], { type: 'application/json' }))) {
+            recorderState.sentCount = toIndex;
+            return;
+        }
+        
+        // Entries stay unsent (and go out with the next chunk) unless the POST succeeds
+        recorderState.isSending = true;
+        fetch(RECORDER_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: payload,
+            keepalive: true
+        }).then((response) => {
+            if (response.ok) {
+                recorderState.sentCount = Math.max(recorderState.sentCount, toIndex);
+            }
+        }).catch((error) => {
+            log.warn('❌ Timeline chunk failed:', error);
+        }).finally(() => {
+            recorderState.isSending = false;
+        });
+    }
+    
+    initRecorder();
+    
+    // Expose for the debug overlay and QA
+    window.SessionRecorder = {
+        getTimeline: getTimeline,
+        download: download,
+        isRecording: () => recorderState.isRecording,
+        FORMAT_VERSION: FORMAT_VERSION
+    };
+    
+})();
@@ -0,0 +1,296 @@
+/**
+ * Session replay (replay.html)
+ * Plays a recorder.js timeline back on the real reel markup: index.html is loaded
+ * in replay mode (no analytics) with the participant's condition, stimulus and ad
+ * position, then scrolls, slide changes, taps and pointer positions are re-applied
+ * on the recorded schedule. Load a file, or pass ?timeline=<same-origin URL>.
+ */
+
+(function() {
+    'use strict';
+    
+    // Configuration
+    const STUDY_PAGE = 'index.html';
+    const TIMELINE_PARAM = 'timeline';
+    const SUPPORTED_FORMAT_VERSION = 1;
+    
+    // Playback state
+    let replayState = {
+        timeline: null,
+        duration: 0,
+        index: 0, // Next entry to apply
+        clock: 0, // Playback position in ms
+        isPlaying: false,
+        speed: 1,
+        lastFrame: null,
+        frameReady: null // Resolves once the replayed page has rendered its feed
+    };
+    
+    const elements = {};
+    
+    function initReplay() {
+        ['stage', 'frame', 'pointer', 'shade', 'file', 'meta', 'play', 'restart', 'speed', 'scrubber', 'time', 'log']
+            .forEach(name => {
+                elements[name] = document.getElementById(`replay-${name}`);
+            });
+        
+        elements.file.addEventListener('change', () => {
+            const file = elements.file.files[0];
+            if (!file) return;
+            file.text().then(text => loadTimeline(JSON.parse(text))).catch(showError);
+        });
+        elements.play.addEventListener('click', () => (replayState.isPlaying ? pause() : play()));
+        elements.restart.addEventListener('click', () => seek(0));
+        elements.speed.addEventListener('change', () => {
+            replayState.speed = parseFloat(elements.speed.value);
+        });
+        elements.scrubber.addEventListener('change', () => seek(parseInt(elements.scrubber.value, 10)));
+        window.addEventListener('resize', fitStage);
+        
+        const url = new URLSearchParams(window.location.search).get(TIMELINE_PARAM);
+        if (url) {
+            fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+                    return response.json();
+                })
+                .then(loadTimeline)
+                .catch(showError);
+        }
+    }
+    
+    function showError(error) {
+        elements.meta.textContent = `❌ ${error.message || error}`;
+    }
+    
+    /**
+     * Validate a timeline and load the participant's feed
+     */
+    function loadTimeline(timeline) {
+        if (!timeline || !Array.isArray(timeline.entries)) {
+            throw new Error('Not a session timeline (no entries)');
+        }
+        if (timeline.format_version !== SUPPORTED_FORMAT_VERSION) {
+            throw new Error(`Unsupported timeline format ${timeline.format_version}`);
+        }
+        
+        pause();
+        replayState.timeline = timeline;
+        replayState.duration = timeline.entries.length > 0 ? timeline.entries[timeline.entries.length - 1][0] : 0;
+        
+        elements.meta.textContent = [
+            `Participant: ${timeline.participant_id}`,
+            `Session: ${timeline.session_id}`,
+            `Condition: ${timeline.condition} · Stimulus: ${timeline.stimulus} · Ad position: ${timeline.ad_position}`,
+            `Started: ${new Date(timeline.started_at).toISOString()}`,
+            `Viewport: ${timeline.viewport.width}×${timeline.viewport.height} · ${timeline.entries.length} entries`
+        ].join('\n');
+        
+        elements.scrubber.max = String(replayState.duration);
+        [elements.play, elements.restart, elements.scrubber].forEach(control => {
+            control.disabled = false;
+        });
+        
+        fitStage();
+        seek(0);
+    }
+    
+    /**
+     * Size the stage to the recorded viewport and scale it to fit the window
+     */
+    function fitStage() {
+        if (!replayState.timeline) return;
+        
+        const viewport = replayState.timeline.viewport;
+        const wrap = elements.stage.parentElement;
+        const scale = Math.min(1, (wrap.clientWidth - 40) / viewport.width, (wrap.clientHeight - 40) / viewport.height);
+        
+        elements.stage.style.width = `${viewport.width}px`;
+        elements.stage.style.height = `${viewport.height}px`;
+        elements.stage.style.transform = `scale(${scale})`;
+    }
+    
+    /**
+     * (Re)load the study page with the participant's feed, in replay mode
+     */
+    function loadFrame() {
+        const timeline = replayState.timeline;
+        const params = new URLSearchParams({ replay: '1', PROLIFIC_ID: timeline.participant_id || 'replay' });
+        if (timeline.condition) params.set('condition', timeline.condition);
+        if (timeline.stimulus) params.set('stimulus', timeline.stimulus);
+        if (timeline.ad_position) params.set('ad_position', String(timeline.ad_position));
+        if (timeline.slide_order_mode) params.set('slide_order', timeline.slide_order_mode);
+        
+        replayState.frameReady = new Promise(resolve => {
+            elements.frame.addEventListener('load', () => {
+                const win = elements.frame.contentWindow;
+                if (win.Stimulus) {
+                    win.Stimulus.ready.then(resolve);
+                } else {
+                    resolve();
+                }
+            }, { once: true });
+        });
+        
+        elements.frame.src = `${STUDY_PAGE}?${params.toString()}`;
+        return replayState.frameReady;
+    }
+    
+    /**
+     * Jump to a position - reloads the page and fast-forwards, since taps can't be undone
+     */
+    function seek(positionMs) {
+        const wasPlaying = replayState.isPlaying;
+        pause();
+        
+        replayState.index = 0;
+        replayState.clock = 0;
+        elements.log.textContent = '';
+        elements.pointer.style.display = 'none';
+        setShade(null);
+        
+        loadFrame().then(() => {
+            advanceTo(positionMs);
+            if (wasPlaying) play();
+        });
+    }
+    
+    function play() {
+        if (!replayState.timeline) return;
+        if (replayState.clock >= replayState.duration) {
+            // Start over from a fresh page; seek() resumes playback once it has loaded
+            replayState.isPlaying = true;
+            seek(0);
+            return;
+        }
+        
+        replayState.isPlaying = true;
+        replayState.lastFrame = null;
+        elements.play.textContent = 'Pause';
+        requestAnimationFrame(tick);
+    }
+    
+    function pause() {
+        replayState.isPlaying = false;
+        elements.play.textContent = 'Play';
+    }
+    
+    function tick(now) {
+        if (!replayState.isPlaying) return;
+        
+        if (replayState.lastFrame !== null) {
+            advanceTo(replayState.clock + (now - replayState.lastFrame) * replayState.speed);
+        }
+        replayState.lastFrame = now;
+        
+        if (replayState.clock >= replayState.duration) {
+            pause();
+            return;
+        }
+        requestAnimationFrame(tick);
+    }
+    
+    /**
+     * Apply every entry up to a playback position
+     */
+    function advanceTo(positionMs) {
+        const entries = replayState.timeline.entries;
+        while (replayState.index < entries.length && entries[replayState.index][0] <= positionMs) {
+            applyEntry(entries[replayState.index]);
+            replayState.index += 1;
+        }
+        
+        replayState.clock = Math.min(positionMs, replayState.duration);
+        elements.scrubber.value = String(Math.round(replayState.clock));
+        elements.time.textContent = `${(replayState.clock / 1000).toFixed(1)}s / ${(replayState.duration / 1000).toFixed(1)}s`;
+    }
+    
+    /**
+     * Re-apply one timeline entry to the replayed page
+     */
+    function applyEntry(entry) {
+        const [t, type, ...fields] = entry;
+        const win = elements.frame.contentWindow;
+        const doc = win.document;
+        
+        switch (type) {
+            case 'start': {
+                const overlay = doc.getElementById('tap-to-start-overlay');
+                if (overlay) overlay.click();
+                logEntry(t, '▶️ Tap to start');
+                break;
+            }
+            case 'p': {
+                const [phase, x, y] = fields;
+                const isUp = phase === 'u' || phase === 'c';
+                elements.pointer.style.display = isUp ? 'none' : 'block';
+                elements.pointer.style.left = `${x * 100}%`;
+                elements.pointer.style.top = `${y * 100}%`;
+                if (phase === 'd') elements.pointer.classList.add('down');
+                if (isUp) elements.pointer.classList.remove('down');
+                break;
+            }
+            case 'scroll': {
+                const container = doc.getElementById('reels-container');
+                if (container) container.scrollTop = fields[0] * container.clientHeight;
+                break;
+            }
+            case 'slide': {
+                const [index, direction, inputMethod] = fields;
+                if (win.CarouselGestures) win.CarouselGestures.goTo(index, inputMethod);
+                logEntry(t, `🎠 Slide ${index} (${direction}, ${inputMethod})`);
+                break;
+            }
+            case 'swipe': {
+                const [outcome, direction, distancePx, durationMs] = fields;
+                logEntry(t, `👆 Swipe ${direction}: ${outcome} (${distancePx}px, ${durationMs}ms)`);
+                break;
+            }
+            case 'vis':
+                setShade(fields[0] === 'hidden' ? 'Tab hidden' : null);
+                logEntry(t, fields[0] === 'hidden' ? '🙈 Tab hidden' : '👀 Tab visible');
+                break;
+            case 'focus':
+                if (elements.shade.textContent !== 'Tab hidden') {
+                    setShade(fields[0] ? null : 'Window lost focus');
+                }
+                logEntry(t, fields[0] ? '🔎 Focus' : '💤 Blur');
+                break;
+            case 'tap': {
+                const [action, reelPosition, undo] = fields;
+                const control = doc.querySelector(`.reel[data-reel="${reelPosition}"] [data-action="${action}"]`);
+                if (control) control.click();
+                logEntry(t, `❤️ ${action}${undo ? ' (undo)' : ''} on reel ${reelPosition}`);
+                break;
+            }
+            case 'ev':
+                logEntry(t, `📊 #${fields[1]} ${fields[0]}`);
+                break;
+        }
+    }
+    
+    function setShade(text) {
+        elements.shade.textContent = text || '';
+        elements.shade.classList.toggle('visible', Boolean(text));
+    }
+    
+    function logEntry(t, text) {
+        elements.log.textContent += `${(t / 1000).toFixed(2).padStart(7)}s  ${text}\n`;
+        elements.log.scrollTop = elements.log.scrollHeight;
+    }
+    
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initReplay);
+    } else {
+        initReplay();
+    }
+    
+    // Expose for debugging (optional)
+    window.SessionReplay = {
+        loadTimeline: loadTimeline,
+        seek: seek,
+        getState: () => ({ ...replayState, timeline: undefined })
+    };
+    
+})();
@@ -0,0 +1,446 @@
+/**
+ * Stimulus manifest loader and reel renderer
+ * Builds the Reels feed from stimuli/<name>.json: organic filler reels
+ * with the ad reel for the assigned condition at a per-participant position,
+ * its slides in a per-participant counterbalanced order
+ */
+
+(function() {
+    'use strict';
+    
+    const log = window.StudyLog;
+    
+    // Configuration
+    const MANIFEST_DIR = 'stimuli/';
+    const DEFAULT_MANIFEST = 'nyu-stern';
+    const MANIFEST_PARAM = 'stimulus'; // ?stimulus=other-brand loads stimuli/other-brand.json
+    const MANIFEST_NAME_PATTERN = /^[a-z0-9_-]+$/i; // Only local manifests, no arbitrary URLs
+    const AD_POSITION_PARAM = 'ad_position'; // ?ad_position=3 forces the ad's feed position (QA)
+    const SLIDE_ORDER_PARAM = 'slide_order'; // ?slide_order=shuffle forces an ordering mode (QA)
+    const SLIDE_ORDER_MODES = ['fixed', 'shuffle', 'latin_square', 'fixed_first'];
+    const ORDERED_ARMS = ['carousel', 'story']; // Arms showing every slide, so the order applies
+    
+    let resolveReady;
+    
+    // Global stimulus state
+    window.Stimulus = {
+        manifest: null,
+        manifestName: null,
+        adPosition: null, // 1-based position of the ad reel in the feed
+        slideOrderMode: null, // 'fixed', 'shuffle', 'latin_square' or 'fixed_first'
+        slideOrder: null, // Slide ids in the order shown
+        rendered: false,
+        ready: new Promise(resolve => { resolveReady = resolve; }) // Stays pending if rendering fails
+    };
+    
+    /**
+     * Get manifest name from ?stimulus= or fall back to the default
+     */
+    function getManifestName() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const requested = urlParams.get(MANIFEST_PARAM);
+        
+        if (requested && MANIFEST_NAME_PATTERN.test(requested)) {
+            return requested;
+        }
+        if (requested) {
+            log.warn(`⚠️ Ignoring invalid stimulus manifest name: ${requested}`);
+        }
+        return DEFAULT_MANIFEST;
+    }
+    
+    /**
+     * Fetch and minimally validate a manifest
+     */
+    function loadManifest(name) {
+        return fetch(`${MANIFEST_DIR}${name}.json`, { cache: 'no-store' })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Stimulus manifest ${name} not found`);
+                }
+                return response.json();
+            })
+            .then(manifest => {
+                if (!manifest.study_id || !manifest.carousel_id || !Array.isArray(manifest.slides)) {
+                    throw new Error(`Stimulus manifest ${name} is missing study_id, carousel_id or slides`);
+                }
+                return manifest;
+            });
+    }
+    
+    /**
+     * Clone a <template> by id
+     */
+    function cloneTemplate(id) {
+        return document.getElementById(id).content.firstElementChild.cloneNode(true);
+    }
+    
+    /**
+     * Fill a [data-slot] element with text, skipping slots the template doesn't have
+     */
+    function fillSlot(root, slot, text) {
+        const element = root.querySelector(`[data-slot="${slot}"]`);
+        if (element) {
+            element.textContent = text == null ? '' : text;
+        }
+    }
+    
+    function buildImageSlide(slide) {
+        const slideElement = cloneTemplate('slide-template');
+        const image = slideElement.querySelector('img');
+        image.src = slide.src;
+        image.alt = slide.alt || '';
+        slideElement.dataset.slideType = 'image';
+        return slideElement;
+    }
+    
+    /**
+     * Video slide - muted and inline; carousel-media.js plays it while it's the active slide
+     */
+    function buildVideoSlide(slide) {
+        const slideElement = cloneTemplate('video-slide-template');
+        const video = slideElement.querySelector('video');
+        video.src = slide.src;
+        video.muted = true;
+        video.dataset.videoId = slide.video_id || slide.id;
+        video.setAttribute('aria-label', slide.alt || '');
+        if (slide.poster) {
+            video.poster = slide.poster;
+        }
+        slideElement.dataset.slideType = 'video';
+        return slideElement;
+    }
+    
+    /**
+     * Build carousel markup for the given slides (no dots for a single slide)
+     */
+    function buildCarousel(manifest, slides) {
+        const carousel = cloneTemplate('carousel-template');
+        const track = carousel.querySelector('.reel-carousel-track');
+        const dots = carousel.querySelector('.reel-carousel-dots');
+        
+        carousel.setAttribute('aria-label', `Sponsored carousel from ${manifest.account.username}`);
+        
+        slides.forEach((slide, index) => {
+            const slideElement = slide.type === 'video' ? buildVideoSlide(slide) : buildImageSlide(slide);
+            slideElement.dataset.slideId = slide.id;
+            slideElement.setAttribute('aria-label', `${index + 1} of ${slides.length}`);
+            fillSlot(slideElement, 'ad-badge', manifest.copy.ad_badge);
+            track.appendChild(slideElement);
+            
+            if (slides.length > 1) {
+                const dot = document.createElement('button');
+                dot.type = 'button';
+                dot.className = 'reel-carousel-dot' + (index === 0 ? ' active' : '');
+                dot.setAttribute('aria-label', `Go to slide ${index + 1}`);
+                if (index === 0) {
+                    dot.setAttribute('aria-current', 'true');
+                }
+                dots.appendChild(dot);
+            }
+        });
+        
+        if (slides.length <= 1) {
+            dots.remove();
+        }
+        
+        return [carousel];
+    }
+    
+    /**
+     * Build the story arm - the carousel's slides with segmented progress bars instead
+     * of dots; story-mode.js advances them on a timer
+     */
+    function buildStory(manifest, slides) {
+        const [carousel] = buildCarousel(manifest, slides);
+        carousel.dataset.mode = 'story';
+        carousel.setAttribute('aria-roledescription', 'story');
+        
+        const dots = carousel.querySelector('.reel-carousel-dots');
+        if (dots) {
+            dots.remove();
+        }
+        
+        const progress = cloneTemplate('story-progress-template');
+        slides.forEach(() => {
+            const segment = document.createElement('div');
+            segment.className = 'story-progress-segment';
+            segment.appendChild(document.createElement('div')).className = 'story-progress-fill';
+            progress.appendChild(segment);
+        });
+        carousel.insertBefore(progress, carousel.firstChild);
+        
+        return [carousel];
+    }
+    
+    /**
+     * Build video markup for the video arm
+     */
+    function buildVideo(manifest) {
+        const fragment = document.getElementById('video-template').content.cloneNode(true);
+        const video = fragment.querySelector('video');
+        video.id = 'adVideo';
+        video.muted = true; // Autoplay is only allowed muted - any unmute is the participant's own
+        video.src = manifest.video.src;
+        video.dataset.videoId = manifest.video.video_id;
+        if (manifest.video.poster) {
+            video.poster = manifest.video.poster;
+        }
+        fillSlot(fragment, 'ad-badge', manifest.copy.ad_badge);
+        return Array.from(fragment.children);
+    }
+    
+    /**
+     * Build the media elements for an arm (slides in the participant's order)
+     */
+    function buildMedia(manifest, armId, slides) {
+        if (armId === 'video') {
+            if (!manifest.video) {
+                throw new Error('Stimulus manifest has no video for the video condition');
+            }
+            return buildVideo(manifest);
+        }
+        
+        if (armId === 'story') {
+            return buildStory(manifest, slides);
+        }
+        
+        if (armId === 'static') {
+            const staticId = manifest.static && manifest.static.slide;
+            const slide = manifest.slides.find(candidate => candidate.id === staticId) || manifest.slides[0];
+            return buildCarousel(manifest, [slide]);
+        }
+        
+        return buildCarousel(manifest, slides);
+    }
+    
+    /**
+     * Build the ad reel for the assigned arm
+     */
+    function buildAdReel(manifest, armId, slides) {
+        const reel = cloneTemplate('reel-template');
+        
+        reel.dataset.reelType = 'ad';
+        reel.dataset.reelId = armId === 'video' ? manifest.video.video_id : manifest.carousel_id;
+        reel.dataset.condition = armId;
+        
+        fillSlot(reel, 'like-count', manifest.counts.likes);
+        fillSlot(reel, 'comment-count', manifest.counts.comments);
+        fillSlot(reel, 'username', manifest.account.username);
+        fillSlot(reel, 'caption', manifest.copy.caption);
+        fillSlot(reel, 'sponsored-label', manifest.copy.sponsored_label);
+        fillSlot(reel, 'audio', manifest.copy.audio);
+        
+        const profileImage = reel.querySelector('[data-slot="profile-image"]');
+        profileImage.src = manifest.account.profile_image;
+        profileImage.alt = manifest.account.profile_alt || '';
+        
+        buildMedia(manifest, armId, slides).reverse().forEach(element => {
+            reel.insertBefore(element, reel.firstChild);
+        });
+        
+        return reel;
+    }
+    
+    /**
+     * Build an organic filler reel (no sponsored label or ad badge)
+     */
+    function buildFillerReel(filler) {
+        const reel = cloneTemplate('reel-template');
+        const media = cloneTemplate('filler-template');
+        
+        reel.dataset.reelType = 'filler';
+        reel.dataset.reelId = filler.id;
+        
+        if (filler.src) {
+            media.style.backgroundImage = `url("${filler.src}")`;
+        } else if (filler.background) {
+            media.style.background = filler.background;
+        }
+        fillSlot(media, 'headline', filler.headline);
+        reel.insertBefore(media, reel.firstChild);
+        
+        const counts = filler.counts || {};
+        fillSlot(reel, 'like-count', counts.likes);
+        fillSlot(reel, 'comment-count', counts.comments);
+        fillSlot(reel, 'username', filler.username);
+        fillSlot(reel, 'caption', filler.caption);
+        fillSlot(reel, 'audio', filler.audio);
+        reel.querySelector('[data-slot="sponsored-label"]').remove();
+        
+        const profileImage = reel.querySelector('[data-slot="profile-image"]');
+        if (filler.profile_image) {
+            profileImage.src = filler.profile_image;
+            profileImage.alt = filler.username || '';
+        } else {
+            profileImage.remove(); // Keep the gradient ring only
+        }
+        
+        return reel;
+    }
+    
+    /**
+     * Pick the ad's 1-based feed position from ?ad_position= or a hash of the participant ID
+     */
+    function chooseAdPosition(manifest) {
+        const fillers = manifest.feed ? manifest.feed.fillers || [] : [];
+        const totalReels = fillers.length + 1;
+        const allowed = (manifest.feed && manifest.feed.ad_positions || [1])
+            .filter(position => position >= 1 && position <= totalReels);
+        
+        const urlParams = new URLSearchParams(window.location.search);
+        const override = parseInt(urlParams.get(AD_POSITION_PARAM), 10);
+        if (override >= 1 && override <= totalReels) {
+            return override;
+        }
+        
+        if (allowed.length === 0) return 1;
+        
+        return allowed[participantHash('ad_position') % allowed.length];
+    }
+    
+    /**
+     * Stable hash of the participant ID for one counterbalancing factor (random without an ID)
+     */
+    function participantHash(factor) {
+        const participantId = window.GALite && window.GALite.userId;
+        return participantId && window.StudyCondition ?
+            window.StudyCondition.hashString(`${participantId}:${factor}`) :
+            Math.floor(Math.random() * 0xffffffff);
+    }
+    
+    /**
+     * Seeded PRNG (mulberry32) - the same seed gives the same shuffle on every reload
+     */
+    function seededRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+    
+    /**
+     * Fisher-Yates shuffle into a new array
+     */
+    function shuffle(items, random) {
+        const shuffled = items.slice();
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+    
+    /**
+     * One row of a balanced (Williams) Latin square: across rows every slide takes every
+     * position once and, for an even slide count, follows every other slide once
+     */
+    function latinSquareRow(count, row) {
+        return Array.from({ length: count }, (_, column) => {
+            const offset = column % 2 === 0 ? column / 2 : count - (column + 1) / 2;
+            return (offset + row) % count;
+        });
+    }
+    
+    /**
+     * Order the slides from ?slide_order= or the manifest's slide_order.mode, seeded by the
+     * participant ID so reloads keep the same order
+     */
+    function chooseSlideOrder(manifest) {
+        const config = manifest.slide_order || {};
+        const urlParams = new URLSearchParams(window.location.search);
+        const override = urlParams.get(SLIDE_ORDER_PARAM);
+        
+        let mode = SLIDE_ORDER_MODES.includes(override) ? override : config.mode || 'fixed';
+        if (!SLIDE_ORDER_MODES.includes(mode)) {
+            log.warn(`❌ Unknown slide_order mode "${mode}", keeping the manifest order`);
+            mode = 'fixed';
+        }
+        
+        const slides = manifest.slides;
+        const hash = participantHash('slide_order');
+        
+        if (mode === 'shuffle') {
+            return { mode: mode, slides: shuffle(slides, seededRandom(hash)) };
+        }
+        if (mode === 'latin_square') {
+            return { mode: mode, slides: latinSquareRow(slides.length, hash % slides.length).map(index => slides[index]) };
+        }
+        if (mode === 'fixed_first') {
+            const first = slides.find(slide => slide.id === config.first) || slides[0];
+            const rest = slides.filter(slide => slide !== first);
+            return { mode: mode, slides: [first].concat(shuffle(rest, seededRandom(hash))) };
+        }
+        return { mode: mode, slides: slides.slice() };
+    }
+    
+    /**
+     * Render the feed into #reels-container, numbering reels by position
+     */
+    function renderFeed(manifest, armId, adPosition, slides) {
+        const container = document.getElementById('reels-container');
+        const fillers = manifest.feed ? manifest.feed.fillers || [] : [];
+        const reels = fillers.map(buildFillerReel);
+        
+        reels.splice(adPosition - 1, 0, buildAdReel(manifest, armId, slides));
+        
+        reels.forEach((reel, index) => {
+            reel.dataset.reel = String(index + 1);
+            container.appendChild(reel);
+        });
+        
+        document.body.dataset.condition = armId;
+    }
+    
+    /**
+     * Load the manifest, wait for condition assignment and render
+     */
+    function initStimulus() {
+        const name = getManifestName();
+        const armReady = window.StudyCondition ?
+            window.StudyCondition.ready.then(condition => condition.arm) :
+            Promise.resolve('carousel');
+        
+        Promise.all([loadManifest(name), armReady])
+            .then(([manifest, armId]) => {
+                const state = window.Stimulus;
+                state.manifest = manifest;
+                state.manifestName = name;
+                state.adPosition = chooseAdPosition(manifest);
+                
+                const order = ORDERED_ARMS.includes(armId) ?
+                    chooseSlideOrder(manifest) :
+                    { mode: 'fixed', slides: manifest.slides };
+                state.slideOrderMode = order.mode;
+                state.slideOrder = order.slides.map(slide => slide.id);
+                
+                renderFeed(manifest, armId, state.adPosition, order.slides);
+                state.rendered = true;
+                
+                log.debug(`🔀 Slide order (${order.mode}): ${state.slideOrder.join(', ')}`);
+                
+                log.info(`🖼️ Rendered stimulus ${name} for condition ${armId} at feed position ${state.adPosition}`);
+                
+                if (window.GALite) {
+                    window.GALite.setContext({ stimulus: name, study_id: manifest.study_id, ad_position: state.adPosition });
+                }
+                
+                resolveReady(manifest);
+            })
+            .catch(error => {
+                log.error('❌ Stimulus render error:', error);
+            });
+    }
+    
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initStimulus);
+    } else {
+        initStimulus();
+    }
+    
+})();
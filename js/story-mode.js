@@ -0,0 +1,263 @@
+/**
+ * Story-style auto-advance (story arm)
+ * Advances the carousel's slides on a timer while the ad reel is on screen and the
+ * page is visible, with one progress bar segment per slide. Press and hold pauses
+ * the timer; a tap on the left third goes back a slide, anywhere else goes forward.
+ * Slide changes go through carousel-gestures.js (advance 'auto' or 'manual'), and
+ * holds are reported to ga-carousel.js as DOM events:
+ *   story:pause  - the participant pressed and held, stopping the timer
+ *   story:resume - they let go, with how long the hold lasted
+ */
+
+(function() {
+    'use strict';
+    
+    const log = window.StudyLog;
+    
+    // Configuration
+    const DEFAULT_SLIDE_MS = 5000; // Time per slide unless the manifest sets story.slide_ms
+    const HOLD_MS = 250; // A press held this long pauses instead of tapping
+    const TAP_SLOP_PX = 8; // Movement below this is a tap (matches carousel-gestures.js)
+    const BACK_ZONE_RATIO = 1 / 3; // Taps on this share of the left edge go back
+    
+    const stories = [];
+    
+    /**
+     * Initialize the timer on every carousel rendered in story mode
+     */
+    function initStoryMode() {
+        // Wait for the stimulus manifest to be rendered
+        if (window.Stimulus && !window.Stimulus.rendered) {
+            window.Stimulus.ready.then(initStoryMode);
+            return;
+        }
+        
+        document.querySelectorAll('.reel-carousel[data-mode="story"]').forEach(carousel => {
+            stories.push(createStory(carousel));
+        });
+        if (stories.length === 0) return;
+        
+        document.addEventListener('visibilitychange', () => stories.forEach(syncTimer));
+        
+        log.debug(`📖 Story mode ready on ${stories.length} carousel(s)`);
+    }
+    
+    /**
+     * Slide duration from the stimulus manifest (story.slide_ms), else the default
+     */
+    function getSlideMs() {
+        const manifest = window.Stimulus && window.Stimulus.manifest;
+        const slideMs = manifest && manifest.story && Number(manifest.story.slide_ms);
+        return slideMs > 0 ? slideMs : DEFAULT_SLIDE_MS;
+    }
+    
+    function createStory(carousel) {
+        const story = {
+            carousel: carousel,
+            reel: carousel.closest('.reel'),
+            fills: carousel.querySelectorAll('.story-progress-fill'),
+            totalSlides: carousel.querySelectorAll('.reel-carousel-slide').length,
+            slideMs: getSlideMs(),
+            currentSlide: 0,
+            elapsedMs: 0, // Timer progress on the current slide, up to the last stop
+            runningSince: null, // Date.now() when the timer last started (null while stopped)
+            timer: null,
+            frame: null,
+            isReelActive: false, // Reel is on screen (between reel:impression and reel:exit)
+            isFinished: false, // Last slide's timer ran out
+            press: null // Active pointer press
+        };
+        
+        carousel.addEventListener('carousel:slidechange', (e) => {
+            stopTimer(story);
+            story.currentSlide = e.detail.index;
+            story.elapsedMs = 0;
+            story.isFinished = false;
+            syncTimer(story);
+        });
+        
+        if (story.reel) {
+            story.reel.addEventListener('reel:impression', () => {
+                story.isReelActive = true;
+                syncTimer(story);
+            });
+            story.reel.addEventListener('reel:exit', () => {
+                story.isReelActive = false;
+                syncTimer(story);
+            });
+        }
+        
+        carousel.addEventListener('pointerdown', (e) => handlePointerDown(story, e));
+        carousel.addEventListener('pointermove', (e) => handlePointerMove(story, e));
+        carousel.addEventListener('pointerup', (e) => handlePointerEnd(story, e, false));
+        carousel.addEventListener('pointercancel', (e) => handlePointerEnd(story, e, true));
+        
+        renderProgress(story);
+        
+        return story;
+    }
+    
+    /**
+     * Run the timer only while the reel is showing, the page is visible and nothing is held
+     * (never in replay mode - the recorded slide changes drive the carousel there)
+     */
+    function syncTimer(story) {
+        const isHeld = Boolean(story.press && story.press.isHolding);
+        const shouldRun = story.isReelActive && !document.hidden && !isHeld && !story.isFinished &&
+            !(window.GALite && window.GALite.replay);
+        
+        if (shouldRun && story.runningSince === null) {
+            story.runningSince = Date.now();
+            story.timer = setTimeout(() => handleTimerEnd(story), Math.max(0, story.slideMs - story.elapsedMs));
+            scheduleFrame(story);
+        } else if (!shouldRun) {
+            stopTimer(story);
+        }
+    }
+    
+    function stopTimer(story) {
+        if (story.runningSince !== null) {
+            story.elapsedMs += Date.now() - story.runningSince;
+            story.runningSince = null;
+        }
+        clearTimeout(story.timer);
+        story.timer = null;
+        renderProgress(story);
+    }
+    
+    /**
+     * Timer ran out - next slide, or stop with a full bar on the last one
+     */
+    function handleTimerEnd(story) {
+        story.timer = null;
+        stopTimer(story);
+        
+        if (story.currentSlide < story.totalSlides - 1) {
+            window.CarouselGestures.navigate(story.carousel, story.currentSlide + 1, null, 'auto');
+        } else {
+            story.isFinished = true;
+            log.debug('📖 Story reached the end of its last slide');
+        }
+    }
+    
+    /**
+     * Timer progress on the current slide so far, running time included
+     */
+    function getElapsedMs(story) {
+        const running = story.runningSince !== null ? Date.now() - story.runningSince : 0;
+        return Math.min(story.slideMs, story.elapsedMs + running);
+    }
+    
+    function scheduleFrame(story) {
+        if (story.frame !== null) return;
+        story.frame = window.requestAnimationFrame(() => {
+            story.frame = null;
+            renderProgress(story);
+            if (story.runningSince !== null) {
+                scheduleFrame(story);
+            }
+        });
+    }
+    
+    /**
+     * Fill the segments - full before the current slide, empty after it
+     */
+    function renderProgress(story) {
+        const progress = getElapsedMs(story) / story.slideMs;
+        story.fills.forEach((fill, index) => {
+            let ratio = index < story.currentSlide ? 1 : 0;
+            if (index === story.currentSlide) {
+                ratio = progress;
+            }
+            fill.style.width = `${Math.round(ratio * 1000) / 10}%`;
+        });
+    }
+    
+    function handlePointerDown(story, e) {
+        if (story.press || (e.pointerType === 'mouse' && e.button !== 0)) return;
+        
+        story.press = {
+            pointerId: e.pointerId,
+            startX: e.clientX,
+            startY: e.clientY,
+            moved: false, // Cleared the tap slop - a swipe or feed scroll, not a tap
+            isHolding: false,
+            holdStart: null,
+            holdTimer: setTimeout(() => startHold(story), HOLD_MS)
+        };
+    }
+    
+    function handlePointerMove(story, e) {
+        const press = story.press;
+        if (!press || e.pointerId !== press.pointerId || press.moved) return;
+        
+        if (Math.max(Math.abs(e.clientX - press.startX), Math.abs(e.clientY - press.startY)) >= TAP_SLOP_PX) {
+            press.moved = true;
+            clearTimeout(press.holdTimer); // A swipe that lingers isn't a hold
+        }
+    }
+    
+    /**
+     * Held long enough - stop the timer until the press ends
+     */
+    function startHold(story) {
+        const press = story.press;
+        press.isHolding = true;
+        press.holdStart = Date.now();
+        syncTimer(story);
+        
+        log.debug(`⏸️ Story held on slide ${story.currentSlide}`);
+        
+        story.carousel.dispatchEvent(new CustomEvent('story:pause', {
+            detail: { index: story.currentSlide, elapsedMs: getElapsedMs(story) }
+        }));
+    }
+    
+    /**
+     * Release - end a hold, or treat a short still press as a tap
+     */
+    function handlePointerEnd(story, e, cancelled) {
+        const press = story.press;
+        if (!press || e.pointerId !== press.pointerId) return;
+        story.press = null;
+        clearTimeout(press.holdTimer);
+        
+        if (press.isHolding) {
+            log.debug(`▶️ Story released on slide ${story.currentSlide}`);
+            
+            story.carousel.dispatchEvent(new CustomEvent('story:resume', {
+                detail: { index: story.currentSlide, pauseMs: Date.now() - press.holdStart }
+            }));
+            syncTimer(story);
+            return;
+        }
+        
+        if (cancelled || press.moved) return;
+        
+        const rect = story.carousel.getBoundingClientRect();
+        const isBack = e.clientX - rect.left < rect.width * BACK_ZONE_RATIO;
+        window.CarouselGestures.navigate(story.carousel, story.currentSlide + (isBack ? -1 : 1), 'tap');
+    }
+    
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initStoryMode);
+    } else {
+        initStoryMode();
+    }
+    
+    // Expose for debugging (optional)
+    window.StoryMode = {
+        getState: () => stories.map(story => ({
+            currentSlide: story.currentSlide,
+            elapsedMs: getElapsedMs(story),
+            slideMs: story.slideMs,
+            isRunning: story.runningSince !== null,
+            isHolding: Boolean(story.press && story.press.isHolding),
+            isFinished: story.isFinished
+        })),
+        DEFAULT_SLIDE_MS: DEFAULT_SLIDE_MS,
+        HOLD_MS: HOLD_MS
+    };
+    
+})();
@@ -0,0 +1,385 @@
+/**
+ * Return to Survey handoff
+ * Keeps the button locked until the minimum exposure is met, then sends participants
+ * back to Qualtrics with their ID, condition and exposure summary as query parameters
+ */
+
+(function() {
+    'use strict';
+    
+    const log = window.StudyLog;
+    
+    // Configuration
+    const RETURN_URL = 'https://gmu.az1.qualtrics.com/jfe/form/SV_eJcxun5CS6HHAVg'; // null = go straight to Prolific
+    const RETURN_URL_PARAM = 'return_url'; // ?return_url= overrides RETURN_URL for allowed hosts
+    const ALLOWED_RETURN_HOSTS = ['gmu.az1.qualtrics.com', 'app.prolific.com'];
+    const COMPLETION_CODE = null; // Prolific completion code, e.g. 'C1A2B3C4'
+    const COMPLETION_CODE_PARAM = 'cc'; // ?cc= overrides COMPLETION_CODE
+    const PROLIFIC_COMPLETE_URL = 'https://app.prolific.com/submissions/complete';
+    const NAVIGATION_DELAY_MS = 300; // Time for the final event to leave before navigating
+    const GATE_CHECK_INTERVAL_MS = 250;
+    const PLAYBACK_STALL_MS = 5000; // A video ad on screen this long without ever playing has failed
+    
+    // Minimum exposure before the button unlocks, per condition (null = never locked)
+    //   { type: 'all_slides' } - every slide viewed for at least CarouselTracker.MIN_DWELL_MS
+    //   { type: 'visible_time', seconds: N } - N seconds of viewable ad time (ga-viewability.js)
+    //   maxWaitSeconds - unlock anyway this long after the gate starts (requirement 'max_wait')
+    // A video that errors or never starts falls back to N seconds on screen ('display_time');
+    // once it has played, pausing or ending it doesn't
+    const EXPOSURE_REQUIREMENTS = {
+        carousel: { type: 'all_slides' },
+        static: { type: 'visible_time', seconds: 8 },
+        story: { type: 'all_slides' },
+        video: { type: 'visible_time', seconds: 15, maxWaitSeconds: 90 }
+    };
+    
+    // Query parameter names, matching the Qualtrics embedded data fields (PROLIFIC_ID carries
+    // every platform's ID - recruitment_platform says which, and is left out for unrecognized IDs)
+    const RETURN_PARAMS = {
+        participantId: 'PROLIFIC_ID',
+        recruitmentPlatform: 'recruitment_platform',
+        condition: 'condition',
+        sessionId: 'session_id',
+        slidesViewed: 'slides_viewed',
+        totalSlides: 'total_slides',
+        totalDwellMs: 'total_dwell_ms',
+        videoWatchedMs: 'video_watched_ms',
+        completionCode: 'completion_code'
+    };
+    
+    let isReturning = false;
+    
+    // Exposure gate state
+    let gateState = {
+        requirement: null,
+        isUnlocked: false,
+        progress: 0,
+        lockedClicks: 0,
+        startTime: Date.now(),
+        gateStartTime: null, // When the requirement became known (maxWaitSeconds counts from here)
+        playbackFailed: false, // The video ad fired an error event
+        playbackStarted: false, // The video ad fired a play event
+        timer: null
+    };
+    
+    /**
+     * Get return URL from ?return_url= (allowed hosts only) or the configured default
+     */
+    function getBaseReturnUrl() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const requested = urlParams.get(RETURN_URL_PARAM);
+        
+        if (requested) {
+            try {
+                const url = new URL(requested);
+                if (url.protocol === 'https:' && ALLOWED_RETURN_HOSTS.includes(url.hostname)) {
+                    return url.href;
+                }
+            } catch (e) {
+                // Invalid URL - fall through
+            }
+            log.warn(`⚠️ Ignoring return_url outside allowed hosts: ${requested}`);
+        }
+        
+        return RETURN_URL;
+    }
+    
+    function getCompletionCode() {
+        const urlParams = new URLSearchParams(window.location.search);
+        return urlParams.get(COMPLETION_CODE_PARAM) || COMPLETION_CODE;
+    }
+    
+    /**
+     * Summarize exposure from the carousel and video trackers
+     */
+    function getExposureSummary() {
+        const summary = {
+            slidesViewed: null,
+            totalSlides: null,
+            totalDwellMs: null,
+            videoWatchedMs: null
+        };
+        
+        if (window.CarouselTracker) {
+            const state = window.CarouselTracker.getState();
+            if (state.isStarted) {
+                const currentDwell = window.CarouselTracker.getCurrentDwellMs();
+                summary.slidesViewed = state.slideViewedFlags.filter(Boolean).length;
+                summary.totalSlides = state.totalSlides;
+                summary.totalDwellMs = state.totalDwellTime + currentDwell;
+            }
+        }
+        
+        if (window.VideoTracker) {
+            const videos = window.VideoTracker.getState().videos;
+            if (videos.some(video => video.isStarted)) {
+                summary.videoWatchedMs = window.VideoTracker.getWatchedMs();
+            }
+        }
+        
+        return summary;
+    }
+    
+    /**
+     * Exposure progress from 0 to 1 for a requirement
+     */
+    function getExposureProgress(requirement) {
+        if (requirement.type === 'all_slides') {
+            if (!window.CarouselTracker) return 1;
+            
+            const state = window.CarouselTracker.getState();
+            if (!state.isStarted || state.totalSlides === 0) return 0;
+            
+            // Current slide counts as soon as its running dwell passes the minimum
+            const currentDwell = window.CarouselTracker.getCurrentDwellMs();
+            const viewed = state.slideViewedFlags.filter((flag, index) =>
+                flag || (index === state.currentSlide && currentDwell >= window.CarouselTracker.MIN_DWELL_MS)
+            ).length;
+            
+            return viewed / state.totalSlides;
+        }
+        
+        if (requirement.type === 'visible_time') {
+            if (!window.ViewabilityTracker) return 1;
+            return Math.min(1, window.ViewabilityTracker.getAdViewableMs() / (requirement.seconds * 1000));
+        }
+        
+        if (requirement.type === 'display_time') {
+            if (!window.ViewabilityTracker) return 1;
+            return Math.min(1, window.ViewabilityTracker.getAdInViewMs() / (requirement.seconds * 1000));
+        }
+        
+        return 1;
+    }
+    
+    /**
+     * Whether the video ad errored, or has been on screen PLAYBACK_STALL_MS without ever playing
+     */
+    function isPlaybackFailed() {
+        if (gateState.playbackFailed) return true;
+        if (gateState.playbackStarted) return false;
+        if (!window.ViewabilityTracker || !document.getElementById('adVideo')) return false;
+        
+        return window.ViewabilityTracker.getAdInViewMs() >= PLAYBACK_STALL_MS;
+    }
+    
+    /**
+     * Switch to a fallback requirement when the video can't play or the wait runs out,
+     * so the participant is never stuck
+     */
+    function applyFallbacks() {
+        const requirement = gateState.requirement;
+        
+        if (requirement.maxWaitSeconds && Date.now() - gateState.gateStartTime >= requirement.maxWaitSeconds * 1000) {
+            log.warn(`⚠️ Exposure not met after ${requirement.maxWaitSeconds}s, unlocking anyway`);
+            gateState.requirement = { type: 'max_wait' };
+            return;
+        }
+        
+        if (requirement.type === 'visible_time' && isPlaybackFailed()) {
+            log.warn('⚠️ Video ad is not playing, counting time on screen instead');
+            gateState.requirement = { ...requirement, type: 'display_time' };
+        }
+    }
+    
+    /**
+     * Re-check the exposure requirement and update the button
+     */
+    function checkExposureGate() {
+        const button = document.getElementById('return-survey-btn');
+        applyFallbacks();
+        gateState.progress = getExposureProgress(gateState.requirement);
+        
+        if (gateState.progress >= 1) {
+            unlockReturn(button);
+            return;
+        }
+        
+        button.querySelector('.return-survey-progress').style.width = `${Math.round(gateState.progress * 100)}%`;
+    }
+    
+    function unlockReturn(button) {
+        if (gateState.isUnlocked) return;
+        
+        gateState.isUnlocked = true;
+        gateState.progress = 1;
+        clearInterval(gateState.timer);
+        
+        button.classList.remove('locked');
+        button.removeAttribute('aria-disabled');
+        
+        log.debug('🔓 Minimum exposure met, return unlocked');
+        
+        if (window.GALite && gateState.requirement) {
+            window.GALite.track('return_unlocked', {
+                requirement: gateState.requirement.type,
+                time_to_unlock_ms: Date.now() - gateState.startTime,
+                locked_clicks: gateState.lockedClicks
+            });
+        }
+    }
+    
+    /**
+     * Log a click on the locked button and nudge it
+     */
+    function handleLockedClick(button) {
+        gateState.lockedClicks += 1;
+        
+        log.debug(`🔒 Return locked (${Math.round(gateState.progress * 100)}% exposure)`);
+        
+        if (window.GALite) {
+            window.GALite.track('return_locked_click', {
+                requirement: gateState.requirement ? gateState.requirement.type : 'pending', // Arm not assigned yet
+                progress_pct: Math.round(gateState.progress * 100),
+                locked_clicks: gateState.lockedClicks
+            });
+        }
+        
+        button.classList.remove('nudge');
+        void button.offsetWidth; // Restart the animation
+        button.classList.add('nudge');
+    }
+    
+    /**
+     * Lock the button until the condition's exposure requirement is met
+     */
+    function initExposureGate(button) {
+        const arm = window.StudyCondition && window.StudyCondition.arm;
+        gateState.requirement = EXPOSURE_REQUIREMENTS[arm] || null;
+        
+        if (!gateState.requirement) {
+            unlockReturn(button);
+            return;
+        }
+        
+        button.classList.add('locked');
+        button.setAttribute('aria-disabled', 'true');
+        gateState.gateStartTime = Date.now();
+        gateState.timer = setInterval(checkExposureGate, GATE_CHECK_INTERVAL_MS);
+        checkExposureGate();
+    }
+    
+    /**
+     * Build the return URL with participant, condition and exposure parameters
+     */
+    function buildReturnUrl(summary = getExposureSummary()) {
+        const baseUrl = getBaseReturnUrl();
+        const completionCode = getCompletionCode();
+        
+        // No survey to return to - complete the Prolific submission directly
+        if (!baseUrl) {
+            return completionCode ?
+                `${PROLIFIC_COMPLETE_URL}?cc=${encodeURIComponent(completionCode)}` : null;
+        }
+        
+        const url = new URL(baseUrl);
+        const values = {
+            participantId: window.GALite && window.GALite.userId,
+            recruitmentPlatform: window.StudyParticipant && window.StudyParticipant.platform,
+            condition: window.StudyCondition && window.StudyCondition.arm,
+            sessionId: window.GALite && window.GALite.sessionId,
+            slidesViewed: summary.slidesViewed,
+            totalSlides: summary.totalSlides,
+            totalDwellMs: summary.totalDwellMs,
+            videoWatchedMs: summary.videoWatchedMs,
+            completionCode: completionCode
+        };
+        
+        Object.keys(RETURN_PARAMS).forEach(key => {
+            if (values[key] !== null && values[key] !== undefined) {
+                url.searchParams.set(RETURN_PARAMS[key], String(values[key]));
+            }
+        });
+        
+        return url.href;
+    }
+    
+    /**
+     * Track the handoff and navigate once the event has had time to leave
+     */
+    function returnToSurvey() {
+        if (isReturning) return;
+        
+        // Re-check first so a click just after the requirement is met isn't refused
+        if (!gateState.isUnlocked && gateState.requirement) {
+            checkExposureGate();
+        }
+        
+        if (!gateState.isUnlocked) {
+            handleLockedClick(document.getElementById('return-survey-btn'));
+            return;
+        }
+        
+        const summary = getExposureSummary();
+        const returnUrl = buildReturnUrl(summary);
+        if (!returnUrl) {
+            log.warn('❌ No return URL or completion code configured');
+            return;
+        }
+        isReturning = true;
+        
+        log.info('↩️ Returning to survey:', returnUrl);
+        
+        if (window.GALite) {
+            window.GALite.track('return_to_survey', {
+                return_host: new URL(returnUrl).hostname,
+                slides_viewed: summary.slidesViewed,
+                total_slides: summary.totalSlides,
+                total_dwell_ms: summary.totalDwellMs,
+                video_watched_ms: summary.videoWatchedMs,
+                locked_clicks: gateState.lockedClicks,
+                has_completion_code: Boolean(getCompletionCode())
+            });
+        }
+        
+        setTimeout(() => {
+            window.location.href = returnUrl;
+        }, NAVIGATION_DELAY_MS);
+    }
+    
+    function initSurveyReturn() {
+        const returnSurveyBtn = document.getElementById('return-survey-btn');
+        if (!returnSurveyBtn) return;
+        
+        returnSurveyBtn.addEventListener('click', returnToSurvey);
+        
+        // Media events don't bubble, and the video ad is rendered later - listen in the capture phase
+        document.addEventListener('error', (e) => {
+            if (e.target && e.target.id === 'adVideo') {
+                gateState.playbackFailed = true;
+            }
+        }, true);
+        document.addEventListener('play', (e) => {
+            if (e.target && e.target.id === 'adVideo') {
+                gateState.playbackStarted = true;
+            }
+        }, true);
+        
+        // Locked from the start; the requirement depends on the assigned condition
+        returnSurveyBtn.classList.add('locked');
+        returnSurveyBtn.setAttribute('aria-disabled', 'true');
+        
+        if (window.StudyCondition) {
+            window.StudyCondition.ready.then(() => initExposureGate(returnSurveyBtn));
+        } else {
+            initExposureGate(returnSurveyBtn);
+        }
+    }
+    
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initSurveyReturn);
+    } else {
+        initSurveyReturn();
+    }
+    
+    // Expose for debugging (optional)
+    window.SurveyReturn = {
+        buildReturnUrl: buildReturnUrl,
+        getExposureSummary: getExposureSummary,
+        returnToSurvey: returnToSurvey,
+        getGateState: () => ({ ...gateState, timer: undefined }),
+        EXPOSURE_REQUIREMENTS: EXPOSURE_REQUIREMENTS
+    };
+    
+})();
@@ -0,0 +1,417 @@
+/**
+ * Video Player Adapters
+ * One adapter per player type (HTML5 <video>, Vimeo and YouTube embeds), each turning
+ * its player's events into the same handler calls for ga-video.js:
+ *   onReady(info), onPlay(position), onPause(position), onTimeUpdate(position),
+ *   onSeeking(), onSeeked(position, isPlaying), onEnded(position),
+ *   onVolumeChange(muted, volume, position), onRateChange(rate, position),
+ *   onFullscreenChange(isFullscreen, position), onBufferStart(), onBufferEnd(position)
+ * info is any of { duration, muted, volume, playbackRate } the player has reported.
+ *
+ * Vimeo and YouTube are driven over their postMessage protocols, so any page speaking
+ * them (test/fixtures/mock-player.html) can stand in for the real player.
+ */
+
+(function() {
+    'use strict';
+    
+    // Configuration
+    const VIMEO_EVENTS = ['play', 'pause', 'ended', 'timeupdate', 'seeking', 'seeked', 'volumechange',
+        'playbackratechange', 'bufferstart', 'bufferend', 'fullscreenchange'];
+    const VIMEO_GETTERS = ['getDuration', 'getVolume', 'getMuted', 'getPlaybackRate'];
+    const YOUTUBE_EVENTS = ['onStateChange', 'onPlaybackRateChange'];
+    const YOUTUBE_LISTEN_INTERVAL_MS = 250; // Repeat the "listening" handshake until the player answers
+    const YOUTUBE_LISTEN_ATTEMPTS = 40;
+    const YOUTUBE_SEEK_THRESHOLD_S = 1.5; // YouTube has no seek event - a jump this far from the expected position is one
+    
+    // YouTube playerState values
+    const YT_ENDED = 0;
+    const YT_PLAYING = 1;
+    const YT_PAUSED = 2;
+    const YT_BUFFERING = 3;
+    
+    let nextPlayerId = 1;
+    
+    /**
+     * Origin to post to - '*' for frames without one (file:// or srcdoc)
+     */
+    function frameOrigin(iframe) {
+        try {
+            const origin = new URL(iframe.src, window.location.href).origin;
+            return origin && origin !== 'null' ? origin : '*';
+        } catch (e) {
+            return '*';
+        }
+    }
+    
+    /**
+     * Add a query parameter to an embed's src if it's missing (reloads the embed)
+     */
+    function ensureParam(iframe, name, value) {
+        const url = new URL(iframe.src, window.location.href);
+        if (url.searchParams.get(name) === value) return;
+        url.searchParams.set(name, value);
+        iframe.src = url.toString();
+    }
+    
+    /**
+     * Parse a postMessage payload - players send JSON strings or plain objects
+     */
+    function parseMessage(data) {
+        if (typeof data === 'string') {
+            try {
+                return JSON.parse(data);
+            } catch (e) {
+                return null;
+            }
+        }
+        return data && typeof data === 'object' ? data : null;
+    }
+    
+    /**
+     * Fullscreen on the standard API - the element itself or a container of it
+     */
+    function watchFullscreen(element, handlers, getPosition) {
+        const onChange = () => {
+            const fullscreenElement = document.fullscreenElement;
+            const isFullscreen = Boolean(fullscreenElement &&
+                (fullscreenElement === element || fullscreenElement.contains(element)));
+            handlers.onFullscreenChange(isFullscreen, getPosition());
+        };
+        document.addEventListener('fullscreenchange', onChange);
+        return () => document.removeEventListener('fullscreenchange', onChange);
+    }
+    
+    /**
+     * HTML5 <video>
+     */
+    const html5Adapter = {
+        type: 'html5',
+        selector: 'video',
+        
+        attach(video, handlers) {
+            const position = () => video.currentTime;
+            const readyInfo = () => ({
+                duration: video.duration,
+                muted: video.muted,
+                volume: video.volume,
+                playbackRate: video.playbackRate || 1
+            });
+            
+            // Metadata may already be loaded
+            if (video.readyState >= 1) {
+                handlers.onReady(readyInfo());
+            } else {
+                handlers.onReady({ muted: video.muted, volume: video.volume, playbackRate: video.playbackRate || 1 });
+            }
+            
+            const listeners = {
+                loadedmetadata: () => handlers.onReady(readyInfo()),
+                play: () => handlers.onPlay(position()),
+                pause: () => handlers.onPause(position()),
+                timeupdate: () => handlers.onTimeUpdate(position()),
+                ended: () => handlers.onEnded(video.duration || position()),
+                seeking: () => handlers.onSeeking(),
+                seeked: () => handlers.onSeeked(position(), !video.paused),
+                volumechange: () => handlers.onVolumeChange(video.muted, video.volume, position()),
+                ratechange: () => handlers.onRateChange(video.playbackRate, position()),
+                waiting: () => {
+                    // Stalls while playing, not the wait before the first play
+                    if (!video.paused) handlers.onBufferStart();
+                },
+                playing: () => handlers.onBufferEnd(position()),
+                // Native iOS player
+                webkitbeginfullscreen: () => handlers.onFullscreenChange(true, position()),
+                webkitendfullscreen: () => handlers.onFullscreenChange(false, position())
+            };
+            
+            Object.keys(listeners).forEach(name => video.addEventListener(name, listeners[name]));
+            const unwatchFullscreen = watchFullscreen(video, handlers, position);
+            
+            return () => {
+                Object.keys(listeners).forEach(name => video.removeEventListener(name, listeners[name]));
+                unwatchFullscreen();
+            };
+        }
+    };
+    
+    /**
+     * Vimeo embed (player.vimeo.com/video/...) over the player.js postMessage protocol
+     * Messages are matched to the right iframe by the frame that sent them (event.source),
+     * like player.js does; a player_id echoed back must also match the one in its src.
+     */
+    const vimeoAdapter = {
+        type: 'vimeo',
+        selector: 'iframe[src*="player.vimeo.com"], iframe[data-video-player="vimeo"]',
+        
+        attach(iframe, handlers) {
+            const playerId = new URL(iframe.src, window.location.href).searchParams.get('player_id');
+            
+            let position = 0;
+            let isPlaying = false;
+            
+            const post = (method, value) => {
+                if (!iframe.contentWindow) return;
+                const message = value === undefined ? { method: method } : { method: method, value: value };
+                iframe.contentWindow.postMessage(JSON.stringify(message), frameOrigin(iframe));
+            };
+            
+            const subscribe = () => {
+                VIMEO_EVENTS.forEach(name => post('addEventListener', name));
+                VIMEO_GETTERS.forEach(name => post(name));
+            };
+            
+            const handleGetter = (method, value) => {
+                if (method === 'getDuration') handlers.onReady({ duration: value });
+                else if (method === 'getVolume') handlers.onReady({ volume: value });
+                else if (method === 'getMuted') handlers.onReady({ muted: value });
+                else if (method === 'getPlaybackRate') handlers.onReady({ playbackRate: value });
+            };
+            
+            const handleEvent = (name, data) => {
+                if (typeof data.seconds === 'number') {
+                    position = data.seconds;
+                }
+                if (data.duration) {
+                    handlers.onReady({ duration: data.duration });
+                }
+                
+                switch (name) {
+                    case 'play':
+                        isPlaying = true;
+                        handlers.onPlay(position);
+                        break;
+                    case 'pause':
+                        isPlaying = false;
+                        handlers.onPause(position);
+                        break;
+                    case 'timeupdate':
+                        handlers.onTimeUpdate(position);
+                        break;
+                    case 'seeking':
+                        handlers.onSeeking();
+                        break;
+                    case 'seeked':
+                        handlers.onSeeked(position, isPlaying);
+                        break;
+                    case 'ended':
+                        isPlaying = false;
+                        handlers.onEnded(position);
+                        break;
+                    case 'volumechange':
+                        handlers.onVolumeChange(data.muted !== undefined ? data.muted : data.volume === 0,
+                            data.volume, position);
+                        break;
+                    case 'playbackratechange':
+                        handlers.onRateChange(data.playbackRate, position);
+                        break;
+                    case 'bufferstart':
+                        handlers.onBufferStart();
+                        break;
+                    case 'bufferend':
+                        handlers.onBufferEnd(position);
+                        break;
+                    case 'fullscreenchange':
+                        handlers.onFullscreenChange(Boolean(data.fullscreen), position);
+                        break;
+                }
+            };
+            
+            const onMessage = (event) => {
+                if (!iframe.contentWindow || event.source !== iframe.contentWindow) return;
+                const data = parseMessage(event.data);
+                if (!data || (playerId && data.player_id !== undefined && data.player_id !== playerId)) return;
+                
+                if (data.event === 'ready' || data.method === 'ping') {
+                    subscribe();
+                } else if (data.event) {
+                    handleEvent(data.event, data.data || {});
+                } else if (data.method) {
+                    handleGetter(data.method, data.value);
+                }
+            };
+            
+            window.addEventListener('message', onMessage);
+            // The embed only announces 'ready' once - ping in case it already has
+            iframe.addEventListener('load', () => post('ping'));
+            post('ping');
+            
+            return () => {
+                window.removeEventListener('message', onMessage);
+                VIMEO_EVENTS.forEach(name => post('removeEventListener', name));
+            };
+        }
+    };
+    
+    /**
+     * YouTube embed (youtube.com/embed/...) over the IFrame API's postMessage protocol
+     * The page announces itself with a "listening" message carrying a widget id; the
+     * player then sends infoDelivery updates (position, state, volume, rate) tagged
+     * with that id.
+     */
+    const youtubeAdapter = {
+        type: 'youtube',
+        selector: 'iframe[src*="youtube.com/embed"], iframe[src*="youtube-nocookie.com/embed"], ' +
+            'iframe[data-video-player="youtube"]',
+        
+        attach(iframe, handlers) {
+            const widgetId = `youtube_player_${nextPlayerId++}`;
+            if (iframe.dataset.videoPlayer !== 'youtube') {
+                ensureParam(iframe, 'enablejsapi', '1');
+            }
+            
+            const info = { currentTime: 0, playerState: -1, playbackRate: 1 };
+            let lastUpdateAt = null; // Date.now() of the last position update
+            let listenTimer = null;
+            let answered = false;
+            
+            const post = (message) => {
+                if (!iframe.contentWindow) return;
+                iframe.contentWindow.postMessage(JSON.stringify({ ...message, id: widgetId, channel: 'widget' }),
+                    frameOrigin(iframe));
+            };
+            
+            const listen = () => post({ event: 'listening' });
+            
+            const startListening = () => {
+                clearInterval(listenTimer);
+                let attempts = 0;
+                listen();
+                listenTimer = setInterval(() => {
+                    attempts += 1;
+                    if (answered || attempts >= YOUTUBE_LISTEN_ATTEMPTS) {
+                        clearInterval(listenTimer);
+                        return;
+                    }
+                    listen();
+                }, YOUTUBE_LISTEN_INTERVAL_MS);
+            };
+            
+            /**
+             * Where playback should be now if nobody touched the scrubber
+             */
+            const expectedPosition = () => {
+                if (info.playerState !== YT_PLAYING || lastUpdateAt === null) return info.currentTime;
+                return info.currentTime + ((Date.now() - lastUpdateAt) / 1000) * (info.playbackRate || 1);
+            };
+            
+            const handleStateChange = (state) => {
+                const previous = info.playerState;
+                if (state === previous) return;
+                info.playerState = state;
+                
+                if (previous === YT_BUFFERING) {
+                    handlers.onBufferEnd(info.currentTime);
+                }
+                
+                if (state === YT_PLAYING) {
+                    lastUpdateAt = Date.now();
+                    handlers.onPlay(info.currentTime);
+                } else if (state === YT_PAUSED) {
+                    handlers.onPause(info.currentTime);
+                } else if (state === YT_ENDED) {
+                    handlers.onEnded(info.duration || info.currentTime);
+                } else if (state === YT_BUFFERING && previous === YT_PLAYING) {
+                    handlers.onBufferStart();
+                }
+            };
+            
+            const handleInfo = (update) => {
+                const ready = {};
+                if (update.duration && update.duration !== info.duration) ready.duration = update.duration;
+                if (Object.keys(ready).length > 0) handlers.onReady(ready);
+                if (update.duration) info.duration = update.duration;
+                
+                if (update.volume !== undefined || update.muted !== undefined) {
+                    const muted = update.muted !== undefined ? update.muted : info.muted;
+                    const volume = update.volume !== undefined ? update.volume : info.volume;
+                    if (info.volume === undefined) {
+                        handlers.onReady({ muted: muted, volume: volume / 100 });
+                    } else if (muted !== info.muted || volume !== info.volume) {
+                        handlers.onVolumeChange(muted, volume / 100, info.currentTime);
+                    }
+                    info.muted = muted;
+                    info.volume = volume;
+                }
+                
+                if (update.playbackRate !== undefined && update.playbackRate !== info.playbackRate) {
+                    info.playbackRate = update.playbackRate;
+                    handlers.onRateChange(update.playbackRate, info.currentTime);
+                }
+                
+                if (typeof update.currentTime === 'number') {
+                    const expected = expectedPosition();
+                    info.currentTime = update.currentTime;
+                    lastUpdateAt = Date.now();
+                    
+                    if (Math.abs(update.currentTime - expected) > YOUTUBE_SEEK_THRESHOLD_S) {
+                        handlers.onSeeking();
+                        handlers.onSeeked(update.currentTime, info.playerState === YT_PLAYING);
+                    } else {
+                        handlers.onTimeUpdate(update.currentTime);
+                    }
+                }
+                
+                if (update.playerState !== undefined) {
+                    handleStateChange(update.playerState);
+                }
+            };
+            
+            const onMessage = (event) => {
+                if (event.source && event.source !== iframe.contentWindow) return;
+                const data = parseMessage(event.data);
+                if (!data || data.id !== widgetId) return;
+                
+                if (!answered) {
+                    answered = true;
+                    clearInterval(listenTimer);
+                    YOUTUBE_EVENTS.forEach(name => post({ event: 'command', func: 'addEventListener', args: [name] }));
+                }
+                
+                if (data.event === 'initialDelivery' || data.event === 'infoDelivery') {
+                    handleInfo(data.info || {});
+                } else if (data.event === 'onStateChange') {
+                    handleStateChange(data.info);
+                } else if (data.event === 'onPlaybackRateChange') {
+                    handleInfo({ playbackRate: data.info });
+                }
+            };
+            
+            window.addEventListener('message', onMessage);
+            iframe.addEventListener('load', startListening);
+            startListening();
+            
+            return () => {
+                window.removeEventListener('message', onMessage);
+                clearInterval(listenTimer);
+            };
+        }
+    };
+    
+    // Checked in order - the first adapter whose selector matches an element tracks it
+    const adapters = [html5Adapter, vimeoAdapter, youtubeAdapter];
+    
+    /**
+     * Adapter for an element, or null if no adapter handles it
+     */
+    function adapterFor(element) {
+        return adapters.find(adapter => element.matches && element.matches(adapter.selector)) || null;
+    }
+    
+    /**
+     * Add an adapter for another player type (checked before the built-in ones)
+     */
+    function register(adapter) {
+        adapters.unshift(adapter);
+    }
+    
+    window.VideoAdapters = {
+        html5: html5Adapter,
+        vimeo: vimeoAdapter,
+        youtube: youtubeAdapter,
+        adapterFor: adapterFor,
+        register: register,
+        selector: () => adapters.map(adapter => adapter.selector).join(', ')
+    };
+    
+})();
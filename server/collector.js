@@ -0,0 +1,382 @@
+/**
+ * Study collector server
+ * Serves the study files and receives GALite events on a first-party /collect endpoint,
+ * so sessions where an ad blocker stops gtag.js still reach us:
+ * - every event is appended to DATA_DIR/events-YYYY-MM-DD.ndjson
+ * - events gtag.js could not send (relay: true) are forwarded to the GA4 Measurement
+ *   Protocol, or only logged when GA_API_SECRET is not set (offline development)
+ * - recorder.js timeline chunks posted to /timeline are merged into DATA_DIR/timelines/
+ * - GET /quota returns participants assigned to each condition, for QUOTA_URL in condition.js
+ *
+ * Usage: node server/collector.js
+ * Environment: PORT, DATA_DIR, GA_MEASUREMENT_ID, GA_API_SECRET, GA_MP_URL
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// Configuration
+const PORT = parseInt(process.env.PORT, 10) || 8080;
+const ROOT_DIR = path.resolve(__dirname, '..'); // Static files are served from the repo root
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(ROOT_DIR, 'data'));
+const TIMELINE_DIR = path.join(DATA_DIR, 'timelines');
+const GA_MEASUREMENT_ID = process.env.GA_MEASUREMENT_ID || null; // null = use the ID GALite sends
+const GA_API_SECRET = process.env.GA_API_SECRET || null; // Measurement Protocol secret (null = log instead of relaying)
+const GA_MP_URL = process.env.GA_MP_URL || 'https://www.google-analytics.com/mp/collect'; // .../debug/mp/collect to validate
+const MP_MAX_EVENTS = 25; // Measurement Protocol limit per request
+const MP_MAX_BACKDATE_MS = 72 * 60 * 60 * 1000 - 60 * 1000; // GA4 drops events backdated over 72 hours (1 minute spare)
+const MAX_BODY_BYTES = 1024 * 1024;
+const PRIVATE_DIRS = ['server', 'node_modules']; // Never served, along with DATA_DIR and dotfiles
+
+// Condition of every participant seen in a condition_assigned event (user_id, else session_id)
+const assignedArms = new Map();
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.vtt': 'text/vtt'
+};
+
+/**
+ * Send a response with an optional plain-text body
+ */
+function send(res, status, body = '') {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(body);
+}
+
+/**
+ * Read and parse a JSON request body (sendBeacon posts arrive as text/plain or application/json)
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Payload too large'), { statusCode: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(Object.assign(new Error('Invalid JSON'), { statusCode: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Append events to today's NDJSON file (UTC date, one event per line)
+ */
+function appendEvents(events, relayed, receivedAt) {
+    const file = path.join(DATA_DIR, `events-${receivedAt.toISOString().slice(0, 10)}.ndjson`);
+    const lines = events.map(event => JSON.stringify({
+        received_at: receivedAt.toISOString(),
+        relayed: relayed,
+        name: event.name,
+        params: event.params
+    }));
+    
+    fs.appendFileSync(file, lines.join('\n') + '\n');
+}
+
+/**
+ * Count a participant's first condition_assigned event towards its arm's quota.
+ * QA overrides and debug sessions don't take up places.
+ */
+function countAssignment(event) {
+    const params = event.params;
+    if (event.name !== 'condition_assigned' || !params.condition) return;
+    if (params.assignment_source === 'override' || params.debug_mode) return;
+    
+    const participant = params.user_id || params.session_id;
+    if (participant && !assignedArms.has(participant)) {
+        assignedArms.set(participant, params.condition);
+    }
+}
+
+/**
+ * Rebuild the assignment counts from the event logs already in DATA_DIR
+ */
+function loadAssignments() {
+    fs.readdirSync(DATA_DIR).filter(file => /^events-.*\.ndjson$/.test(file)).sort().forEach(file => {
+        fs.readFileSync(path.join(DATA_DIR, file), 'utf8').split('\n').forEach(line => {
+            if (!line.includes('"condition_assigned"')) return;
+            try {
+                countAssignment(JSON.parse(line));
+            } catch (error) {
+                // Skip a line cut short by a crash
+            }
+        });
+    });
+}
+
+/**
+ * GET /quota - participants assigned so far per condition, e.g. {"carousel": 12, "static": 9}
+ */
+function handleQuota(req, res) {
+    const counts = {};
+    assignedArms.forEach(arm => {
+        counts[arm] = (counts[arm] || 0) + 1;
+    });
+    
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(counts));
+}
+
+/**
+ * GA4 timestamp for an event from its client_ts, so queued events flushed or replayed
+ * later keep the time they happened - clamped to the backdating window and to now
+ */
+function toTimestampMicros(clientTs, now = Date.now()) {
+    const time = Number(clientTs);
+    if (!Number.isFinite(time) || time <= 0) return null;
+    return Math.min(now, Math.max(now - MP_MAX_BACKDATE_MS, time)) * 1000;
+}
+
+/**
+ * Forward events to the GA4 Measurement Protocol, in batches of MP_MAX_EVENTS.
+ * Without GA_API_SECRET the events are only logged, so the server works offline.
+ */
+function relayToGA(events, payloadMeasurementId, userProperties) {
+    const measurementId = GA_MEASUREMENT_ID || payloadMeasurementId;
+    
+    if (!GA_API_SECRET || !measurementId) {
+        console.log(`📭 GA relay not configured - ${events.length} event(s) logged only:`,
+            events.map(event => event.name).join(', '));
+        return Promise.resolve();
+    }
+    
+    // Events from one request come from one tab, so they share a session and participant
+    const first = events[0].params;
+    const url = `${GA_MP_URL}?measurement_id=${encodeURIComponent(measurementId)}` +
+        `&api_secret=${encodeURIComponent(GA_API_SECRET)}`;
+    const requests = [];
+    
+    for (let i = 0; i < events.length; i += MP_MAX_EVENTS) {
+        const body = {
+            client_id: String(first.session_id || 'unknown'),
+            events: events.slice(i, i + MP_MAX_EVENTS).map(event => {
+                const { user_id, ...params } = event.params;
+                const timestampMicros = toTimestampMicros(params.client_ts);
+                return timestampMicros ?
+                    { name: event.name, timestamp_micros: timestampMicros, params: params } :
+                    { name: event.name, params: params };
+            })
+        };
+        if (first.user_id) {
+            body.user_id = String(first.user_id);
+            body.user_properties = { participant_id: { value: String(first.user_id) } };
+            Object.keys(userProperties || {}).forEach(name => {
+                if (userProperties[name] !== null && userProperties[name] !== undefined) {
+                    body.user_properties[name] = { value: userProperties[name] };
+                }
+            });
+        }
+        
+        requests.push(fetch(url, { method: 'POST', body: JSON.stringify(body) }).then((response) => {
+            if (!response.ok) {
+                console.warn(`⚠️ GA relay returned HTTP ${response.status}`);
+            }
+        }));
+    }
+    
+    return Promise.all(requests).catch((error) => {
+        console.warn('❌ GA relay failed:', error.message);
+    });
+}
+
+/**
+ * POST /collect - { measurement_id, relay, user_properties, events: [{ name, params }] } from GALite
+ */
+function handleCollect(req, res) {
+    readJsonBody(req).then((payload) => {
+        const events = (Array.isArray(payload.events) ? payload.events : []).filter(event =>
+            event && typeof event.name === 'string' && event.params && typeof event.params === 'object');
+        
+        if (events.length === 0) {
+            send(res, 400, 'No events');
+            return;
+        }
+        
+        appendEvents(events, Boolean(payload.relay), new Date());
+        events.forEach(countAssignment);
+        send(res, 204);
+        
+        if (payload.relay) {
+            relayToGA(events, payload.measurement_id, payload.user_properties);
+        }
+    }).catch((error) => {
+        send(res, error.statusCode || 500, error.message);
+    });
+}
+
+/**
+ * POST /timeline - recorder.js chunks, merged into one replayable timeline per session.
+ * A chunk can arrive twice (beacon on unload after a slow fetch), so entries before
+ * what is already stored are dropped using from_index.
+ */
+function handleTimeline(req, res) {
+    readJsonBody(req).then((chunk) => {
+        if (!chunk.session_id || !Array.isArray(chunk.entries)) {
+            send(res, 400, 'Not a timeline chunk');
+            return;
+        }
+        
+        const file = path.join(TIMELINE_DIR, `${String(chunk.session_id).replace(/[^\w-]/g, '_')}.json`);
+        const { entries, chunk: chunkIndex, from_index: fromIndex, ...header } = chunk;
+        const timeline = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : { ...header, entries: [] };
+        const start = Number.isInteger(fromIndex) ? fromIndex : timeline.entries.length;
+        
+        if (start > timeline.entries.length) {
+            console.warn(`⚠️ Timeline ${chunk.session_id}: chunk ${chunkIndex} starts at ${start}, ` +
+                `only ${timeline.entries.length} entries stored`);
+        }
+        
+        timeline.entries = timeline.entries.concat(entries.slice(Math.max(0, timeline.entries.length - start)));
+        fs.writeFileSync(file, JSON.stringify(timeline));
+        send(res, 204);
+    }).catch((error) => {
+        send(res, error.statusCode || 500, error.message);
+    });
+}
+
+/**
+ * Resolve a URL path to a servable file, or null for anything outside the study files
+ */
+function resolveStaticPath(urlPath) {
+    let relative;
+    try {
+        relative = decodeURIComponent(urlPath);
+    } catch (error) {
+        return null;
+    }
+    if (relative.endsWith('/')) relative += 'index.html';
+    
+    const filePath = path.resolve(ROOT_DIR, `.${relative}`);
+    const parts = path.relative(ROOT_DIR, filePath).split(path.sep);
+    
+    if (parts[0] === '..' || path.isAbsolute(parts[0])) return null;
+    if (parts.some(part => part.startsWith('.')) || PRIVATE_DIRS.includes(parts[0])) return null;
+    if (filePath === DATA_DIR || filePath.startsWith(DATA_DIR + path.sep)) return null;
+    
+    return filePath;
+}
+
+/**
+ * Serve a static file, with byte ranges so video seeking works
+ */
+function serveStatic(req, res, urlPath) {
+    const filePath = resolveStaticPath(urlPath);
+    const stat = filePath && fs.existsSync(filePath) ? fs.statSync(filePath) : null;
+    
+    if (!stat || !stat.isFile()) {
+        send(res, 404, 'Not found');
+        return;
+    }
+    
+    const headers = {
+        'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+        'Accept-Ranges': 'bytes',
+        'Cache-Control': 'no-cache'
+    };
+    const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+    let start = 0;
+    let end = stat.size - 1;
+    let status = 200;
+    
+    if (range && (range[1] || range[2])) {
+        start = range[1] ? parseInt(range[1], 10) : Math.max(0, stat.size - parseInt(range[2], 10));
+        end = range[1] && range[2] ? Math.min(parseInt(range[2], 10), end) : end;
+        
+        if (start > end) {
+            res.writeHead(416, { 'Content-Range': `bytes */${stat.size}` });
+            res.end();
+            return;
+        }
+        status = 206;
+        headers['Content-Range'] = `bytes ${start}-${end}/${stat.size}`;
+    }
+    
+    headers['Content-Length'] = end - start + 1;
+    res.writeHead(status, headers);
+    
+    if (req.method === 'HEAD' || stat.size === 0) {
+        res.end();
+        return;
+    }
+    fs.createReadStream(filePath, { start: start, end: end }).pipe(res);
+}
+
+function handleRequest(req, res) {
+    const urlPath = new URL(req.url, 'http://localhost').pathname;
+    
+    if (urlPath === '/collect' || urlPath === '/timeline') {
+        if (req.method !== 'POST') {
+            send(res, 405, 'Method not allowed');
+            return;
+        }
+        (urlPath === '/collect' ? handleCollect : handleTimeline)(req, res);
+        return;
+    }
+    
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        send(res, 405, 'Method not allowed');
+        return;
+    }
+    if (urlPath === '/quota') {
+        handleQuota(req, res);
+        return;
+    }
+    serveStatic(req, res, urlPath);
+}
+
+/**
+ * Create the data directories, count earlier assignments and start listening
+ */
+function startServer(port = PORT) {
+    fs.mkdirSync(TIMELINE_DIR, { recursive: true });
+    loadAssignments();
+    
+    const server = http.createServer(handleRequest);
+    server.listen(port, () => {
+        console.log(`📡 Study collector on http://localhost:${server.address().port}/ - data in ${DATA_DIR}`);
+        console.log(GA_API_SECRET ?
+            `🎯 Relaying blocked-gtag events to ${GA_MP_URL}` :
+            '📭 GA_API_SECRET not set - relayed events are logged, not forwarded');
+    });
+    return server;
+}
+
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = {
+    startServer: startServer,
+    handleRequest: handleRequest,
+    relayToGA: relayToGA
+};
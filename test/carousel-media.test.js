@@ -0,0 +1,110 @@
+'use strict';
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadStudyPage } = require('./helpers/study-page');
+
+// nyu-stern-mixed (test/fixtures/stimuli/) has a video as its second slide
+const MIXED_QUERY = '?PROLIFIC_ID=test_participant&condition=carousel&ad_position=2&stimulus=nyu-stern-mixed';
+const VIDEO_SLIDE = 1;
+const DURATION_S = 15;
+
+describe('carousel-media.js', () => {
+    let page;
+    let video;
+    
+    /**
+     * Play the slide video forward, one timeupdate per second
+     */
+    async function playFor(seconds) {
+        for (let i = 0; i < seconds; i++) {
+            await page.clock.tick(1000);
+            video.currentTime += 1;
+            video.dispatchEvent(new page.window.Event('timeupdate'));
+        }
+    }
+    
+    beforeEach(async () => {
+        page = await loadStudyPage({ query: MIXED_QUERY });
+        video = page.document.querySelectorAll('.reel-carousel-slide')[VIDEO_SLIDE].querySelector('video');
+        video.fakeMedia.duration = DURATION_S;
+        video.fakeMedia.readyState = 1;
+        video.dispatchEvent(new page.window.Event('loadedmetadata'));
+    });
+    
+    afterEach(() => {
+        page.close();
+    });
+    
+    test('renders the video slide muted and inline, with its slide id', () => {
+        const slide = page.document.querySelectorAll('.reel-carousel-slide')[VIDEO_SLIDE];
+        assert.equal(slide.dataset.slideType, 'video');
+        assert.equal(slide.dataset.slideId, 'nyu_clip');
+        assert.equal(video.muted, true);
+        assert.equal(video.hasAttribute('playsinline'), true);
+        assert.equal(video.dataset.videoId, 'nyu_slide_video_1');
+    });
+    
+    test('the video slide plays only while it is the active slide', async () => {
+        await page.showAd();
+        assert.equal(video.paused, true);
+        
+        await page.swipe(-150);
+        assert.equal(video.paused, false);
+        assert.equal(video.muted, true);
+        
+        const [view] = page.events('slide_view').filter(event => event.params.slide_index === VIDEO_SLIDE);
+        assert.equal(view.params.slide_type, 'video');
+        
+        const [start] = page.events('video_start');
+        assert.equal(start.params.video_id, 'nyu_slide_video_1');
+        assert.equal(start.params.slide_index, VIDEO_SLIDE);
+        assert.equal(start.params.slide_id, 'nyu_clip');
+        
+        await page.swipe(-150);
+        assert.equal(video.paused, true);
+        
+        // Back to it - resumes rather than restarting
+        await page.swipe(150);
+        assert.equal(video.paused, false);
+        assert.equal(page.events('video_start').length, 1);
+    });
+    
+    test('leaving the reel or hiding the page pauses the video slide', async () => {
+        await page.showAd();
+        await page.swipe(-150);
+        
+        await page.setHidden(true);
+        assert.equal(video.paused, true);
+        await page.setHidden(false);
+        assert.equal(video.paused, false);
+        
+        page.setVisible(page.adReel(), 0);
+        assert.equal(video.paused, true);
+        page.setVisible(page.adReel(), 1);
+        assert.equal(video.paused, false);
+    });
+    
+    test('one session has carousel dwell and video progress for the video slide', async () => {
+        await page.showAd();
+        await page.swipe(-150);
+        await playFor(6);
+        await page.swipe(-150);
+        await page.unload();
+        
+        const [dwell] = page.events('dwell_end').filter(event => event.params.slide_index === VIDEO_SLIDE);
+        assert.equal(dwell.params.dwell_ms, 6150);
+        
+        const [progress] = page.events('video_progress');
+        assert.equal(progress.params.second, 5);
+        assert.equal(progress.params.slide_index, VIDEO_SLIDE);
+        
+        const [complete] = page.events('video_complete');
+        assert.equal(complete.params.slide_index, VIDEO_SLIDE);
+        assert.equal(complete.params.watched_ms, 6150); // Plays on until the swipe away is released
+        assert.equal(complete.params.completed_naturally, false);
+        
+        const problems = page.events().flatMap(event => page.window.GALite.validate(event.name, event.params));
+        assert.deepEqual(problems.filter(problem => !problem.includes('transport_type')), []);
+    });
+});
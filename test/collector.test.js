@@ -0,0 +1,90 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'collector-'));
+process.env.DATA_DIR = DATA_DIR;
+process.env.GA_API_SECRET = 'test_secret';
+const { startServer, relayToGA } = require('../server/collector');
+
+/**
+ * A condition_assigned event as GALite sends it
+ */
+function assignment(userId, condition, source = 'hash') {
+    return {
+        name: 'condition_assigned',
+        params: { user_id: userId, session_id: `session_${userId}`, condition: condition, assignment_source: source }
+    };
+}
+
+describe('server/collector.js', () => {
+    let server;
+    let baseUrl;
+    
+    before(async () => {
+        // Assignments logged before a restart still count
+        fs.writeFileSync(path.join(DATA_DIR, 'events-2026-01-01.ndjson'),
+            [assignment('p1', 'carousel'), assignment('p2', 'static')].map(event => JSON.stringify(event)).join('\n') + '\n');
+        
+        server = startServer(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://localhost:${server.address().port}`;
+    });
+    
+    after(() => {
+        server.close();
+        fs.rmSync(DATA_DIR, { recursive: true, force: true });
+    });
+    
+    const quota = () => fetch(`${baseUrl}/quota`).then(response => response.json());
+    
+    const collect = (events) => fetch(`${baseUrl}/collect`, {
+        method: 'POST',
+        body: JSON.stringify({ relay: false, events: events })
+    });
+    
+    test('/quota counts each participant once per arm, leaving out QA overrides', async () => {
+        assert.deepEqual(await quota(), { carousel: 1, static: 1 });
+        
+        const response = await collect([
+            assignment('p3', 'carousel'),
+            assignment('p1', 'carousel'), // Reload in a new tab
+            assignment('qa', 'story', 'override'),
+            { name: 'slide_view', params: { user_id: 'p3', condition: 'carousel' } }
+        ]);
+        assert.equal(response.status, 204);
+        
+        assert.deepEqual(await quota(), { carousel: 2, static: 1 });
+    });
+    
+    test('relayed events keep their client time, within GA4\'s 72-hour backdating window', async () => {
+        const now = Date.now();
+        const hour = 60 * 60 * 1000;
+        const bodies = [];
+        const realFetch = global.fetch;
+        global.fetch = (url, init) => {
+            bodies.push(JSON.parse(init.body));
+            return Promise.resolve({ ok: true });
+        };
+        
+        try {
+            await relayToGA([
+                { name: 'slide_view', params: { user_id: 'p1', session_id: 's1', client_ts: now - hour } },
+                { name: 'slide_view', params: { user_id: 'p1', session_id: 's1', client_ts: now - 100 * hour } },
+                { name: 'slide_view', params: { user_id: 'p1', session_id: 's1' } }
+            ], 'G-TEST');
+        } finally {
+            global.fetch = realFetch;
+        }
+        
+        const [recent, old, untimed] = bodies[0].events;
+        assert.equal(recent.timestamp_micros, (now - hour) * 1000);
+        assert.ok(old.timestamp_micros > (now - 72 * hour) * 1000);
+        assert.ok(old.timestamp_micros <= Date.now() * 1000);
+        assert.equal(untimed.timestamp_micros, undefined);
+    });
+});
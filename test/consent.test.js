@@ -0,0 +1,111 @@
+'use strict';
+
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadStudyPage, settle } = require('./helpers/study-page');
+
+const PROLIFIC_PID = '5f8a3c2e9b1d4e6f7a8b9c0d';
+const PROLIFIC_QUERY = `?PROLIFIC_PID=${PROLIFIC_PID}&condition=carousel`;
+
+describe('consent.js', () => {
+    let page;
+    
+    afterEach(() => {
+        page.close();
+    });
+    
+    const scriptSources = () => Array.from(page.document.querySelectorAll('script[src]'), script => script.getAttribute('src'));
+    
+    test('nothing loads or is tracked until the participant accepts', async () => {
+        page = await loadStudyPage({ query: PROLIFIC_QUERY, consent: false });
+        
+        assert.equal(page.document.getElementById('consent-modal').hidden, false);
+        assert.match(page.document.getElementById('consent-version-label').textContent, /1\.0/);
+        
+        await page.clock.tick(10000);
+        assert.equal(scriptSources().some(src => /googletagmanager|_vercel/.test(src)), false);
+        assert.equal(page.window.StudyParticipant.id, null);
+        assert.equal(page.window.StudyCondition.arm, null);
+        assert.equal(page.window.Stimulus.rendered, false);
+        assert.equal(page.window.SessionRecorder.getTimeline().entries.length, 0);
+        assert.deepEqual(page.events(), []);
+        assert.deepEqual(page.requests, []);
+        
+        await page.acceptConsent();
+        await page.waitForStimulus();
+        
+        assert.equal(page.document.getElementById('consent-modal').hidden, true);
+        assert.ok(scriptSources().includes('/_vercel/insights/script.js'));
+        assert.equal(page.window.GALite.userId, PROLIFIC_PID);
+        assert.equal(page.window.StudyCondition.arm, 'carousel');
+    });
+    
+    test('acceptance is tracked with the consent version and time', async () => {
+        page = await loadStudyPage({ query: PROLIFIC_QUERY, consent: false });
+        await page.clock.tick(3000);
+        const acceptedAt = page.window.Date.now();
+        await page.acceptConsent();
+        await page.waitForStimulus();
+        
+        const [consent] = page.events('consent_given');
+        assert.equal(consent.params.consent_version, '1.0');
+        assert.equal(consent.params.consent_ts, acceptedAt);
+        assert.equal(consent.params.user_id, PROLIFIC_PID);
+        assert.deepEqual(Array.from(page.window.GALite.validate('consent_given', consent.params)), []);
+        assert.deepEqual(page.names().slice(0, 3), ['condition_assigned', 'consent_given', 'participant_identified']);
+        assert.equal(page.window.StudyConsent.acceptedAt, acceptedAt);
+        assert.equal(page.window.SessionRecorder.getTimeline().consent_version, '1.0');
+    });
+    
+    test('a reload in a tab that already agreed is not tracked as consent again', async () => {
+        const storage = { study_consent: JSON.stringify({ version: '1.0', acceptedAt: 1700000000000 }) };
+        page = await loadStudyPage({ query: PROLIFIC_QUERY, consent: false, storage: storage });
+        await page.waitForStimulus();
+        
+        assert.equal(page.document.getElementById('consent-modal').hidden, true);
+        assert.equal(page.window.StudyConsent.source, 'session');
+        assert.deepEqual(page.events('consent_given'), []);
+        assert.equal(page.events('participant_identified').length, 1);
+        const userProperties = Array.from(page.window.dataLayer).find(call => call[0] === 'set' && call[1] === 'user_properties');
+        assert.equal(userProperties[2].consent_version, '1.0');
+    });
+    
+    test('declining shows an exit back to the platform and records nothing', async () => {
+        page = await loadStudyPage({ query: PROLIFIC_QUERY, consent: false });
+        page.document.getElementById('consent-decline').click();
+        await settle();
+        await page.clock.tick(10000);
+        
+        const exitLink = page.document.getElementById('consent-exit-link');
+        assert.equal(page.document.getElementById('consent-form').hidden, true);
+        assert.equal(page.document.getElementById('consent-declined').hidden, false);
+        assert.equal(exitLink.hidden, false);
+        assert.equal(exitLink.href, 'https://app.prolific.com/');
+        assert.match(page.document.getElementById('consent-exit-text').textContent, /return your submission/);
+        
+        assert.equal(page.window.StudyConsent.status, 'declined');
+        assert.equal(page.window.Stimulus.rendered, false);
+        assert.equal(scriptSources().some(src => /googletagmanager|_vercel/.test(src)), false);
+        assert.deepEqual(page.events(), []);
+        assert.deepEqual(page.requests, []);
+        assert.equal(page.window.StudyConsent.acceptedAt, null);
+    });
+    
+    test('a Prolific no-consent code sends decliners to the completion page', async () => {
+        page = await loadStudyPage({ query: `${PROLIFIC_QUERY}&no_consent_cc=CNOC1A2B`, consent: false });
+        page.document.getElementById('consent-decline').click();
+        await settle();
+        
+        assert.equal(page.document.getElementById('consent-exit-link').href,
+            'https://app.prolific.com/submissions/complete?cc=CNOC1A2B');
+    });
+    
+    test('replay mode skips the consent screen', async () => {
+        page = await loadStudyPage({ query: '?replay=1&PROLIFIC_ID=test_participant&condition=carousel', gtag: false });
+        
+        assert.equal(page.document.getElementById('consent-modal').hidden, true);
+        assert.equal(page.window.StudyConsent.status, 'replay');
+        assert.equal(page.window.Stimulus.rendered, true);
+        assert.equal(scriptSources().some(src => /_vercel/.test(src)), false);
+    });
+});
@@ -0,0 +1,210 @@
+'use strict';
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadStudyPage } = require('./helpers/study-page');
+
+const CAROUSEL_EVENTS = ['carousel_start', 'carousel_pause', 'carousel_resume', 'slide_view', 'dwell_end',
+    'swipe_attempt', 'carousel_complete'];
+
+/**
+ * Carousel events in the order gtag received them
+ */
+function carouselEvents(page) {
+    return page.events().filter(event => CAROUSEL_EVENTS.includes(event.name));
+}
+
+function carouselNames(page) {
+    return carouselEvents(page).map(event => event.name);
+}
+
+describe('ga-carousel.js', () => {
+    let page;
+    
+    beforeEach(async () => {
+        page = await loadStudyPage();
+    });
+    
+    afterEach(() => {
+        page.close();
+    });
+    
+    test('starts on the ad reel impression, not on tap-to-start', async () => {
+        page.tapToStart();
+        await page.clock.tick(1000);
+        assert.deepEqual(carouselNames(page), []);
+        
+        page.setVisible(page.adReel(), 1);
+        const [start, firstView] = carouselEvents(page);
+        
+        assert.equal(start.name, 'carousel_start');
+        assert.equal(start.params.carousel_id, 'reel_carousel_1');
+        assert.equal(start.params.carousel_type, 'reel_carousel');
+        assert.equal(start.params.total_slides, 4);
+        assert.equal(firstView.name, 'slide_view');
+        assert.equal(firstView.params.slide_index, 0);
+        assert.equal(firstView.params.direction, 'start');
+        assert.equal(firstView.params.input_method, null);
+    });
+    
+    test('a swipe past the threshold closes the slide dwell and views the next slide', async () => {
+        await page.showAd();
+        await page.clock.tick(2500);
+        await page.swipe(-150, { durationMs: 150 });
+        
+        assert.deepEqual(carouselNames(page).slice(2), ['swipe_attempt', 'dwell_end', 'slide_view']);
+        
+        const [swipe, dwell, view] = carouselEvents(page).slice(2);
+        assert.equal(swipe.params.outcome, 'advanced');
+        assert.equal(swipe.params.direction, 'next');
+        assert.equal(swipe.params.from_slide, 0);
+        assert.equal(swipe.params.to_slide, 1);
+        assert.equal(swipe.params.distance_px, 150);
+        assert.equal(swipe.params.duration_ms, 150);
+        assert.equal(swipe.params.pointer_type, 'touch');
+        assert.equal(swipe.params.attempt_number, 1);
+        
+        assert.equal(dwell.params.slide_index, 0);
+        assert.equal(dwell.params.dwell_ms, 2650); // Dwell runs until the release
+        assert.equal(dwell.params.segment_count, 1);
+        
+        assert.equal(view.params.slide_index, 1);
+        assert.equal(view.params.direction, 'next');
+        assert.equal(view.params.input_method, 'touch');
+    });
+    
+    test('a short, slow drag snaps back without a slide change', async () => {
+        await page.showAd();
+        await page.swipe(-20, { durationMs: 400, pointerType: 'mouse' });
+        
+        assert.deepEqual(carouselNames(page).slice(2), ['swipe_attempt']);
+        const [swipe] = page.events('swipe_attempt');
+        assert.equal(swipe.params.outcome, 'snapped_back');
+        assert.equal(swipe.params.to_slide, 0);
+        assert.equal(swipe.params.pointer_type, 'mouse');
+    });
+    
+    test('swiping back from the first slide is a boundary attempt', async () => {
+        await page.showAd();
+        await page.swipe(150);
+        
+        const [swipe] = page.events('swipe_attempt');
+        assert.equal(swipe.params.outcome, 'boundary');
+        assert.equal(swipe.params.direction, 'prev');
+        assert.equal(page.events('slide_view').length, 1);
+    });
+    
+    test('a dot click jumps to its slide with input_method "dot"', async () => {
+        await page.showAd();
+        await page.clock.tick(1200);
+        page.document.querySelectorAll('.reel-carousel-dot')[2].click();
+        
+        assert.deepEqual(carouselNames(page).slice(2), ['dwell_end', 'slide_view']);
+        const [dwell, view] = carouselEvents(page).slice(2);
+        assert.equal(dwell.params.dwell_ms, 1200);
+        assert.equal(view.params.slide_index, 2);
+        assert.equal(view.params.direction, 'jump');
+        assert.equal(view.params.input_method, 'dot');
+    });
+    
+    test('tab switches pause and resume dwell but never complete the carousel', async () => {
+        await page.showAd();
+        await page.clock.tick(1000);
+        await page.setHidden(true);
+        await page.clock.tick(5000);
+        await page.setHidden(false);
+        await page.clock.tick(1000);
+        await page.setHidden(true);
+        await page.setHidden(false);
+        
+        assert.deepEqual(carouselNames(page).slice(2),
+            ['carousel_pause', 'carousel_resume', 'carousel_pause', 'carousel_resume']);
+        
+        const [firstPause] = page.events('carousel_pause');
+        assert.equal(firstPause.params.slide_index, 0);
+        assert.equal(firstPause.params.slide_dwell_ms, 1000);
+        assert.equal(firstPause.params.pause_count, 1);
+        
+        await page.unload();
+        const [dwell] = page.events('dwell_end');
+        assert.equal(dwell.params.dwell_ms, 2000); // Hidden time excluded
+        assert.equal(dwell.params.segment_count, 3);
+        assert.equal(page.events('carousel_complete').length, 1);
+    });
+    
+    test('unload sends the last dwell_end and exactly one carousel_complete', async () => {
+        await page.showAd();
+        await page.clock.tick(2500);
+        await page.swipe(-150, { durationMs: 150 });
+        await page.clock.tick(3000);
+        
+        await page.unload();
+        page.window.dispatchEvent(new page.window.Event('beforeunload'));
+        await page.unload();
+        
+        assert.deepEqual(carouselNames(page).slice(-2), ['dwell_end', 'carousel_complete']);
+        
+        const complete = page.events('carousel_complete');
+        assert.equal(complete.length, 1);
+        assert.equal(complete[0].params.slides_viewed, 2);
+        assert.equal(complete[0].params.total_slides, 4);
+        assert.equal(complete[0].params.total_dwell_ms, 5650);
+        assert.equal(complete[0].params.swipe_attempts, 1);
+        assert.equal(complete[0].params.swipe_outcomes, 'snapped_back:0,boundary:0');
+        assert.equal(complete[0].params.input_methods, 'touch');
+        assert.equal(complete[0].params.advances, 'auto:0,manual:1');
+    });
+    
+    test('slide changes after finalizing are not tracked', async () => {
+        await page.showAd();
+        await page.unload();
+        const sent = carouselEvents(page).length;
+        
+        page.document.querySelectorAll('.reel-carousel-dot')[1].click();
+        await page.swipe(-150);
+        
+        assert.equal(carouselEvents(page).length, sent);
+    });
+    
+    test('slide_view and dwell_end report the displayed position and the creative', async () => {
+        const order = Array.from(page.window.Stimulus.slideOrder);
+        const shown = Array.from(page.document.querySelectorAll('.reel-carousel-slide'), slide => slide.dataset.slideId);
+        assert.deepEqual(shown, order);
+        assert.deepEqual(order.slice().sort(), ['nyu1', 'nyu2', 'nyu3', 'nyu4']);
+        
+        await page.showAd();
+        await page.clock.tick(2500);
+        await page.swipe(-150);
+        
+        const [start] = page.events('carousel_start');
+        assert.equal(start.params.slide_order, order.join(','));
+        assert.equal(start.params.slide_order_mode, 'latin_square');
+        
+        const [dwell] = page.events('dwell_end');
+        assert.equal(dwell.params.slide_index, 0);
+        assert.equal(dwell.params.slide_id, order[0]);
+        
+        const view = page.events('slide_view')[1];
+        assert.equal(view.params.slide_index, 1);
+        assert.equal(view.params.slide_id, order[1]);
+    });
+    
+    test('the slide order is seeded from the participant ID and can be forced', async () => {
+        const orderFor = async (query) => {
+            const other = await loadStudyPage({ query: query });
+            const order = Array.from(other.window.Stimulus.slideOrder);
+            other.close();
+            return order;
+        };
+        
+        const order = Array.from(page.window.Stimulus.slideOrder);
+        assert.deepEqual(await orderFor('?PROLIFIC_ID=test_participant&condition=carousel&ad_position=2'), order);
+        
+        const fixed = await orderFor('?PROLIFIC_ID=test_participant&condition=carousel&slide_order=fixed');
+        assert.deepEqual(fixed, ['nyu1', 'nyu2', 'nyu3', 'nyu4']);
+        
+        const fixedFirst = await orderFor('?PROLIFIC_ID=test_participant&condition=carousel&slide_order=fixed_first');
+        assert.equal(fixedFirst[0], 'nyu1');
+        assert.deepEqual(fixedFirst.slice().sort(), fixed);
+    });
+});
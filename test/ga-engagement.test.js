@@ -0,0 +1,30 @@
+'use strict';
+
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadStudyPage } = require('./helpers/study-page');
+
+describe('ga-engagement.js', () => {
+    let page;
+    
+    afterEach(() => {
+        page.close();
+    });
+    
+    test('liking the ad shows its exact like count, and unliking restores the displayed one', async () => {
+        page = await loadStudyPage();
+        await page.showAd();
+        
+        const like = page.document.querySelector('.reel[data-reel-type="ad"] [data-action="like"]');
+        const count = like.querySelector('.reel-action-count');
+        assert.equal(count.textContent, '5.2K');
+        
+        like.click();
+        assert.equal(count.textContent, '5,201');
+        assert.equal(like.classList.contains('active'), true);
+        
+        like.click();
+        assert.equal(count.textContent, '5.2K');
+        assert.deepEqual(page.events('engagement').map(event => event.params.undo), [false, true]);
+    });
+});
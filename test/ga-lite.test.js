@@ -0,0 +1,97 @@
+'use strict';
+
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadStudyPage } = require('./helpers/study-page');
+
+const COLLECT_QUERY = '?PROLIFIC_ID=test_participant&condition=carousel&ad_position=2&collect=1';
+
+describe('ga-lite.js', () => {
+    let page;
+    
+    afterEach(() => {
+        page.close();
+    });
+    
+    test('every event in a session matches the schema, in one unbroken sequence', async () => {
+        page = await loadStudyPage();
+        await page.showAd();
+        await page.clock.tick(2500);
+        await page.swipe(-150);
+        page.document.querySelector('.reel[data-reel-type="ad"] [data-action="like"]').click();
+        await page.setHidden(true);
+        await page.setHidden(false);
+        await page.unload();
+        
+        const events = page.events();
+        const sessionId = page.window.GALite.sessionId;
+        events.forEach((event, index) => {
+            // transport_type is gtag's beacon option for unload flushes, not an event parameter
+            const { transport_type, ...params } = event.params;
+            assert.deepEqual(Array.from(page.window.GALite.validate(event.name, params)), [],
+                `${event.name} (#${event.params.seq})`);
+            assert.equal(event.params.seq, index + 1);
+            assert.equal(event.params.session_id, sessionId);
+            assert.equal(event.params.user_id, 'test_participant');
+            assert.equal(event.params.condition, 'carousel');
+        });
+    });
+    
+    test('no event can carry more than GA4\'s 25 parameters', async () => {
+        page = await loadStudyPage();
+        const schema = page.window.GAEventSchema;
+        const common = schema.common.required.concat(schema.common.optional);
+        
+        Object.keys(schema.events).forEach(name => {
+            const definition = schema.events[name];
+            const params = new Set(common.concat(definition.required || [], definition.optional || []));
+            assert.ok(params.size <= schema.maxParams, `${name} can have ${params.size} parameters`);
+        });
+        
+        const tooMany = {};
+        for (let i = 0; i <= schema.maxParams; i++) {
+            tooMany[`param_${i}`] = i;
+        }
+        assert.ok(page.window.GALite.validate('debug_test', tooMany).some(problem => problem.includes('limit of 25')));
+    });
+    
+    test('nothing is sent to the collector unless it is turned on', async () => {
+        page = await loadStudyPage({ gtag: false });
+        await page.clock.tick(100);
+        await page.showAd();
+        
+        assert.equal(page.window.GALite.relaying, false);
+        assert.deepEqual(page.requests.filter(request => request.url === '/collect'), []);
+    });
+    
+    test('events sent through gtag are mirrored to the collector', async () => {
+        page = await loadStudyPage({ query: COLLECT_QUERY });
+        await page.showAd();
+        
+        const mirrored = page.requests
+            .filter(request => request.url === '/collect')
+            .reduce((all, request) => {
+                assert.equal(request.body.relay, false);
+                return all.concat(request.body.events.map(event => event.name));
+            }, []);
+        assert.deepEqual(mirrored, page.names());
+    });
+    
+    test('with gtag.js blocked, events are relayed through the collector', async () => {
+        page = await loadStudyPage({ query: COLLECT_QUERY, gtag: false });
+        await page.clock.tick(100);
+        await page.showAd();
+        
+        assert.equal(page.window.GALite.relaying, true);
+        assert.deepEqual(page.names(), []);
+        
+        const relayed = page.requests.filter(request => request.url === '/collect');
+        assert.ok(relayed.length > 0);
+        relayed.forEach(request => assert.equal(request.body.relay, true));
+        
+        const names = relayed.reduce((all, request) => all.concat(request.body.events.map(event => event.name)), []);
+        assert.deepEqual(names, ['condition_assigned', 'consent_given', 'participant_identified', 'reel_impression',
+            'carousel_start', 'slide_view']);
+        assert.equal(page.window.GALite.getQueue().length, 0);
+    });
+});
@@ -0,0 +1,238 @@
+'use strict';
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadStudyPage } = require('./helpers/study-page');
+
+const VIDEO_QUERY = '?PROLIFIC_ID=test_participant&condition=video&ad_position=2';
+const DURATION_S = 30;
+
+describe('ga-video.js', () => {
+    let page;
+    let video;
+    
+    /**
+     * Play forward one second at a time, with a timeupdate per second like a real player
+     */
+    async function playTo(seconds) {
+        while (video.currentTime < seconds) {
+            await page.clock.tick(1000);
+            video.currentTime = Math.min(seconds, video.currentTime + 1);
+            video.dispatchEvent(new page.window.Event('timeupdate'));
+        }
+    }
+    
+    beforeEach(async () => {
+        page = await loadStudyPage({ query: VIDEO_QUERY });
+        video = page.document.getElementById('adVideo');
+        video.fakeMedia.duration = DURATION_S;
+        video.fakeMedia.readyState = 1;
+        video.dispatchEvent(new page.window.Event('loadedmetadata'));
+    });
+    
+    afterEach(() => {
+        page.close();
+    });
+    
+    test('video_start is sent once, when the ad reel starts playing', async () => {
+        await page.showAd();
+        
+        const [start] = page.events('video_start');
+        assert.equal(start.params.video_type, 'html5');
+        assert.equal(start.params.video_id, 'nyu_video_1');
+        assert.equal(start.params.duration_s, DURATION_S);
+        
+        video.pause();
+        video.play();
+        assert.equal(page.events('video_start').length, 1);
+    });
+    
+    test('the reel video is rendered muted, so a blocked autoplay logs no video_mute', async () => {
+        assert.equal(video.muted, true);
+        
+        video.play = () => Promise.reject(new Error('NotAllowedError'));
+        await page.showAd();
+        await page.clock.tick(1000);
+        
+        assert.equal(video.muted, true);
+        assert.deepEqual(page.events('video_mute'), []);
+    });
+    
+    test('progress milestones are sent once each, in order', async () => {
+        await page.showAd();
+        await playTo(16);
+        
+        // Rewatching doesn't repeat milestones
+        video.currentTime = 2;
+        await playTo(12);
+        
+        assert.deepEqual(page.events('video_progress').map(event => event.params.second), [5, 10, 15]);
+        const [first] = page.events('video_progress');
+        assert.equal(first.params.duration_s, DURATION_S);
+        assert.equal(first.params.video_id, 'nyu_video_1');
+    });
+    
+    test('ended sends video_complete with watch time and percent watched', async () => {
+        await page.showAd();
+        await playTo(DURATION_S);
+        video.pause();
+        video.dispatchEvent(new page.window.Event('ended'));
+        
+        const [complete] = page.events('video_complete');
+        assert.equal(complete.params.watched_ms, DURATION_S * 1000);
+        assert.equal(complete.params.percent_watched, 100);
+        assert.equal(complete.params.max_watched_s, DURATION_S);
+        assert.equal(complete.params.completed_naturally, undefined);
+        assert.deepEqual(page.events('video_progress').map(event => event.params.second), [5, 10, 15, 30]);
+        
+        await page.unload();
+        assert.equal(page.events('video_complete').length, 1);
+    });
+    
+    test('time paused is not counted as watched', async () => {
+        await page.showAd();
+        await playTo(6);
+        video.pause();
+        await page.clock.tick(10000);
+        video.play();
+        await playTo(9);
+        await page.unload();
+        
+        const [complete] = page.events('video_complete');
+        assert.equal(complete.params.watched_ms, 9000);
+        assert.equal(complete.params.percent_watched, 30);
+    });
+    
+    test('unload while playing sends an incomplete video_complete', async () => {
+        await page.showAd();
+        await playTo(12);
+        await page.unload();
+        page.window.dispatchEvent(new page.window.Event('beforeunload'));
+        
+        assert.equal(page.events('video_complete').length, 1);
+        const [complete] = page.events('video_complete');
+        assert.equal(complete.params.completed_naturally, false);
+        assert.equal(complete.params.watched_ms, 12000);
+        assert.equal(complete.params.max_watched_s, 12);
+        assert.equal(complete.params.percent_watched, 40);
+    });
+    
+    test('quartiles are sent once each as playback passes them', async () => {
+        await page.showAd();
+        await playTo(DURATION_S);
+        video.dispatchEvent(new page.window.Event('ended'));
+        
+        const quartiles = page.events('video_quartile');
+        assert.deepEqual(quartiles.map(event => event.params.percent), [25, 50, 75, 100]);
+        assert.equal(quartiles[0].params.unique_seconds_watched, 8); // First timeupdate past 7.5s
+        assert.equal(quartiles[3].params.duration_s, DURATION_S);
+    });
+    
+    test('seeking ahead skips the quartiles and seconds it jumped over', async () => {
+        await page.showAd();
+        await playTo(5);
+        video.dispatchEvent(new page.window.Event('seeking'));
+        video.currentTime = 25;
+        video.dispatchEvent(new page.window.Event('seeked'));
+        await playTo(DURATION_S);
+        video.dispatchEvent(new page.window.Event('ended'));
+        
+        const [seek] = page.events('video_seek');
+        assert.equal(seek.params.from_s, 5);
+        assert.equal(seek.params.to_s, 25);
+        assert.equal(seek.params.direction, 'forward');
+        assert.deepEqual(page.events('video_quartile').map(event => event.params.percent), [100]);
+        assert.deepEqual(page.events('video_progress').map(event => event.params.second), [5, 30]);
+        
+        const [complete] = page.events('video_complete');
+        assert.equal(complete.params.unique_seconds_watched, 10);
+        assert.equal(complete.params.percent_watched, 33);
+        assert.equal(complete.params.max_watched_s, DURATION_S);
+        assert.equal(complete.params.seek_count, 1);
+    });
+    
+    test('a scrub while paused starts from where the video was paused', async () => {
+        const seek = (to) => {
+            video.dispatchEvent(new page.window.Event('seeking'));
+            video.currentTime = to;
+            video.dispatchEvent(new page.window.Event('seeked'));
+        };
+        
+        await page.showAd();
+        await playTo(20);
+        seek(5);
+        await playTo(8);
+        video.pause();
+        seek(15);
+        
+        const [back, forward] = page.events('video_seek');
+        assert.equal(back.params.from_s, 20);
+        assert.equal(back.params.direction, 'back');
+        assert.equal(forward.params.from_s, 8);
+        assert.equal(forward.params.to_s, 15);
+        assert.equal(forward.params.direction, 'forward');
+    });
+    
+    test('a jump between timeupdates without seek events is not counted as watched', async () => {
+        await page.showAd();
+        await playTo(4);
+        video.currentTime = 20;
+        video.dispatchEvent(new page.window.Event('timeupdate'));
+        await playTo(22);
+        await page.unload();
+        
+        const [complete] = page.events('video_complete');
+        assert.equal(complete.params.unique_seconds_watched, 6);
+        assert.deepEqual(page.events('video_quartile').map(event => event.params.percent), []);
+    });
+    
+    test('mute, volume, playback rate and buffering are tracked', async () => {
+        await page.showAd();
+        await playTo(3);
+        
+        video.muted = !video.muted;
+        video.dispatchEvent(new page.window.Event('volumechange'));
+        [0.8, 0.6, 0.4].forEach(volume => {
+            video.volume = volume;
+            video.dispatchEvent(new page.window.Event('volumechange'));
+        });
+        await page.clock.tick(500);
+        
+        video.playbackRate = 1.5;
+        video.dispatchEvent(new page.window.Event('ratechange'));
+        
+        video.dispatchEvent(new page.window.Event('waiting'));
+        await page.clock.tick(1200);
+        video.dispatchEvent(new page.window.Event('playing'));
+        
+        const [mute] = page.events('video_mute');
+        assert.equal(mute.params.muted, video.muted);
+        assert.equal(mute.params.position_s, 3);
+        
+        // One volume event per slider drag
+        const volume = page.events('video_volume');
+        assert.equal(volume.length, 1);
+        assert.equal(volume[0].params.volume, 0.4);
+        assert.equal(volume[0].params.previous_volume, 1);
+        
+        const [rate] = page.events('video_rate');
+        assert.equal(rate.params.playback_rate, 1.5);
+        assert.equal(rate.params.previous_rate, 1);
+        
+        const [buffering] = page.events('video_buffering');
+        assert.equal(buffering.params.buffer_ms, 1200);
+        
+        await page.unload();
+        const [complete] = page.events('video_complete');
+        assert.equal(complete.params.buffer_count, 1);
+        assert.equal(complete.params.buffer_ms, 1200);
+    });
+    
+    test('unload before the video starts sends nothing', async () => {
+        page.tapToStart();
+        await page.unload();
+        
+        assert.equal(page.events('video_start').length, 0);
+        assert.equal(page.events('video_complete').length, 0);
+    });
+});
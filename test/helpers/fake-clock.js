@@ -0,0 +1,86 @@
+/**
+ * Fake clock for the study page
+ * Replaces the window's timers, Date.now() and performance.now() so dwell, idle and
+ * swipe velocity timings are exact. Time only moves when a test calls tick().
+ */
+
+'use strict';
+
+// Configuration
+const START_TIME = Date.UTC(2025, 0, 15, 12, 0, 0); // Wall-clock time at elapsed = 0
+
+class FakeClock {
+    constructor(startTime = START_TIME) {
+        this.startTime = startTime;
+        this.elapsed = 0;
+        this.timers = new Map(); // id -> { callback, args, at, interval }
+        this.nextId = 1;
+    }
+    
+    now() {
+        return this.startTime + this.elapsed;
+    }
+    
+    /**
+     * Patch a jsdom window (call from JSDOM's beforeParse, before any script runs)
+     */
+    install(window) {
+        window.setTimeout = (callback, delay = 0, ...args) => this.schedule(callback, delay, args, null);
+        window.setInterval = (callback, delay = 0, ...args) => this.schedule(callback, delay, args, Math.max(1, delay));
+        window.clearTimeout = (id) => this.timers.delete(id);
+        window.clearInterval = (id) => this.timers.delete(id);
+        window.requestAnimationFrame = (callback) => this.schedule(() => callback(this.elapsed), 16, [], null);
+        window.cancelAnimationFrame = (id) => this.timers.delete(id);
+        window.Date.now = () => this.now();
+        Object.defineProperty(window.performance, 'now', { value: () => this.elapsed, configurable: true });
+    }
+    
+    schedule(callback, delay, args, interval) {
+        const id = this.nextId++;
+        this.timers.set(id, { callback: callback, args: args, at: this.elapsed + Math.max(0, Number(delay) || 0), interval: interval });
+        return id;
+    }
+    
+    /**
+     * Advance time, running due timers in order and settling promises after each one
+     */
+    async tick(ms) {
+        const target = this.elapsed + ms;
+        
+        for (;;) {
+            let nextId = null;
+            let next = null;
+            this.timers.forEach((timer, id) => {
+                if (timer.at <= target && (!next || timer.at < next.at)) {
+                    nextId = id;
+                    next = timer;
+                }
+            });
+            if (!next) break;
+            
+            this.elapsed = next.at;
+            if (next.interval) {
+                next.at += next.interval;
+            } else {
+                this.timers.delete(nextId);
+            }
+            next.callback(...next.args);
+            await settle();
+        }
+        
+        this.elapsed = target;
+        await settle();
+    }
+}
+
+/**
+ * Let pending promise callbacks and jsdom's own (real) async work run
+ */
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+module.exports = {
+    FakeClock: FakeClock,
+    settle: settle
+};
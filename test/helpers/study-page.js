@@ -0,0 +1,338 @@
+/**
+ * Study page harness
+ * Loads index.html (the fixture DOM) in jsdom with every study script, offline:
+ * - gtag.js and Vercel insights are served as empty scripts, so GALite's gtag() only
+ *   records calls in dataLayer - events() reads them back as { name, params }
+ * - fetch() reads manifests from disk (test/fixtures/stimuli/ as if it were stimuli/)
+ *   and records collector POSTs
+ * - IntersectionObserver, media playback and the clock are fakes driven by the test
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+const { FakeClock, settle } = require('./fake-clock');
+
+// Configuration
+const ROOT_DIR = path.resolve(__dirname, '..', '..');
+const READY_TIMEOUT_MS = 5000; // Real time allowed for scripts, manifest and gtag.js to load
+const DEFAULT_QUERY = '?PROLIFIC_ID=test_participant&condition=carousel&ad_position=2';
+const FIXTURE_STIMULI_DIR = path.join(ROOT_DIR, 'test', 'fixtures', 'stimuli'); // Test-only manifests
+
+/**
+ * Serves repo files for file:// URLs and empty scripts for anything else, such as
+ * gtag.js and /_vercel/insights (blockGtag fails gtag.js like an ad blocker would)
+ */
+class OfflineLoader extends ResourceLoader {
+    constructor(blockGtag) {
+        super();
+        this.blockGtag = blockGtag;
+    }
+    
+    fetch(url, options) {
+        if (this.blockGtag && url.includes('googletagmanager')) {
+            return abortable(Promise.reject(new Error('Blocked')));
+        }
+        if (!url.startsWith('file://') || !fs.existsSync(decodeURIComponent(new URL(url).pathname))) {
+            return abortable(Promise.resolve(Buffer.from('')));
+        }
+        return super.fetch(url, options);
+    }
+}
+
+/**
+ * jsdom aborts requests still open when the window closes (e.g. scripts added after consent)
+ */
+function abortable(promise) {
+    promise.abort = () => {};
+    return promise;
+}
+
+/**
+ * fetch() for the page - study files from disk, POSTs recorded and answered with 204
+ */
+function createFetch(window, requests) {
+    return (input, init = {}) => {
+        const url = new URL(String(input), window.location.href);
+        
+        if (init.method === 'POST') {
+            requests.push({ url: url.pathname, body: JSON.parse(init.body) });
+            return Promise.resolve({ ok: true, status: 204, json: () => Promise.resolve(null) });
+        }
+        
+        let filePath = url.protocol === 'file:' ? decodeURIComponent(url.pathname) : null;
+        if (filePath && !fs.existsSync(filePath) && path.dirname(filePath) === path.join(ROOT_DIR, 'stimuli')) {
+            filePath = path.join(FIXTURE_STIMULI_DIR, path.basename(filePath));
+        }
+        if (!filePath || !fs.existsSync(filePath)) {
+            return Promise.resolve({ ok: false, status: 404, json: () => Promise.reject(new Error('Not found')) });
+        }
+        
+        const text = fs.readFileSync(filePath, 'utf8');
+        return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(JSON.parse(text)) });
+    };
+}
+
+/**
+ * IntersectionObserver stand-in - tests decide what is on screen with setVisible()
+ */
+function installIntersectionObserver(window, observers) {
+    window.IntersectionObserver = class {
+        constructor(callback, options) {
+            this.callback = callback;
+            this.options = options;
+            this.targets = new Set();
+            observers.push(this);
+        }
+        observe(target) { this.targets.add(target); }
+        unobserve(target) { this.targets.delete(target); }
+        disconnect() { this.targets.clear(); }
+        takeRecords() { return []; }
+    };
+}
+
+/**
+ * Media elements that "play" without decoding anything; state lives in element.fakeMedia
+ */
+function installMediaPlayback(window) {
+    const proto = window.HTMLMediaElement.prototype;
+    const state = (element) => {
+        if (!element.fakeMedia) {
+            element.fakeMedia = { paused: true, duration: NaN, currentTime: 0, readyState: 0 };
+        }
+        return element.fakeMedia;
+    };
+    
+    Object.defineProperty(proto, 'paused', { get() { return state(this).paused; }, configurable: true });
+    Object.defineProperty(proto, 'duration', { get() { return state(this).duration; }, configurable: true });
+    Object.defineProperty(proto, 'readyState', { get() { return state(this).readyState; }, configurable: true });
+    Object.defineProperty(proto, 'currentTime', {
+        get() { return state(this).currentTime; },
+        set(value) { state(this).currentTime = value; },
+        configurable: true
+    });
+    
+    proto.play = function() {
+        if (state(this).paused) {
+            state(this).paused = false;
+            this.dispatchEvent(new window.Event('play'));
+        }
+        return Promise.resolve();
+    };
+    proto.pause = function() {
+        if (!state(this).paused) {
+            state(this).paused = true;
+            this.dispatchEvent(new window.Event('pause'));
+        }
+    };
+    proto.load = function() {};
+}
+
+/**
+ * In-memory sessionStorage - the file:// page has an opaque origin, so jsdom gives it none
+ */
+function installSessionStorage(window, entries) {
+    const items = new Map(Object.entries(entries));
+    Object.defineProperty(window, 'sessionStorage', {
+        value: {
+            getItem: key => (items.has(key) ? items.get(key) : null),
+            setItem: (key, value) => { items.set(key, String(value)); },
+            removeItem: key => { items.delete(key); }
+        }
+    });
+}
+
+/**
+ * Load the study page, accept the consent text and wait until the stimulus is rendered
+ * and gtag.js has "loaded" (waitForStimulus: false returns once the scripts have run,
+ * e.g. to fill in the ID modal; consent: false leaves the consent screen up; storage
+ * seeds sessionStorage, e.g. to reload a tab that already agreed)
+ */
+async function loadStudyPage({ query = DEFAULT_QUERY, gtag = true, waitForStimulus = true, consent = true, storage = null } = {}) {
+    const clock = new FakeClock();
+    const requests = [];
+    const observers = [];
+    const errors = [];
+    
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error));
+    
+    const html = fs.readFileSync(path.join(ROOT_DIR, 'index.html'), 'utf8');
+    const dom = new JSDOM(html, {
+        url: `file://${ROOT_DIR}/index.html${query}`,
+        runScripts: 'dangerously',
+        resources: new OfflineLoader(!gtag),
+        pretendToBeVisual: true,
+        virtualConsole: virtualConsole,
+        beforeParse(window) {
+            clock.install(window);
+            window.fetch = createFetch(window, requests);
+            window.navigator.sendBeacon = (url, blob) => {
+                requests.push({ url: url, beacon: true, blob: blob });
+                return true;
+            };
+            window.document.hasFocus = () => true; // Otherwise the attention tracker starts blurred
+            installIntersectionObserver(window, observers);
+            installMediaPlayback(window);
+            if (storage) {
+                installSessionStorage(window, storage);
+            }
+        }
+    });
+    const window = dom.window;
+    
+    /**
+     * Poll (in real time) until a condition holds
+     */
+    async function waitUntil(isDone, what) {
+        const deadline = Date.now() + READY_TIMEOUT_MS;
+        while (!isDone()) {
+            if (Date.now() > deadline) {
+                dom.window.close();
+                throw new Error(`${what}: ${errors.map(error => error.message).join('; ')}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+    }
+    
+    const page = {
+        window: window,
+        document: window.document,
+        clock: clock,
+        requests: requests,
+        errors: errors,
+        
+        /**
+         * Events handed to gtag(), in order
+         */
+        events(name) {
+            // Array.from copies into this realm, so deepEqual against test arrays works
+            const sent = Array.from(window.dataLayer || [])
+                .filter(call => call[0] === 'event')
+                .map(call => ({ name: call[1], params: call[2] }));
+            return name ? sent.filter(event => event.name === name) : sent;
+        },
+        
+        names() {
+            return page.events().map(event => event.name);
+        },
+        
+        /**
+         * Mark the tap-to-start overlay as tapped
+         */
+        tapToStart() {
+            window.document.getElementById('tap-to-start-overlay').click();
+        },
+        
+        /**
+         * Report an element's on-screen ratio to every observer watching it
+         */
+        setVisible(element, ratio = 1) {
+            observers.forEach(observer => {
+                if (!observer.targets.has(element)) return;
+                observer.callback([{
+                    target: element,
+                    isIntersecting: ratio > 0,
+                    intersectionRatio: ratio,
+                    boundingClientRect: { top: 0 },
+                    rootBounds: { top: 0 }
+                }], observer);
+            });
+        },
+        
+        adReel() {
+            return window.document.querySelector('.reel[data-reel-type="ad"]');
+        },
+        
+        /**
+         * Agree on the consent screen, if it is showing
+         */
+        async acceptConsent() {
+            if (window.document.getElementById('consent-modal').hidden) return;
+            window.document.getElementById('consent-accept').click();
+            await settle();
+        },
+        
+        /**
+         * Wait until the stimulus is rendered and gtag.js has "loaded"
+         */
+        async waitForStimulus() {
+            await waitUntil(() => window.Stimulus && window.Stimulus.rendered && window.GALite &&
+                (window.GALite.isLoaded || !gtag), 'Study page did not load');
+            // Let the trackers' Stimulus.ready callbacks run
+            await settle();
+        },
+        
+        /**
+         * Tap to start and bring the ad reel on screen
+         */
+        async showAd() {
+            page.tapToStart();
+            page.setVisible(page.adReel(), 1);
+            await settle();
+        },
+        
+        /**
+         * Pointer drag across the carousel - dx in px (negative = to the next slide)
+         */
+        async swipe(dx, { durationMs = 150, steps = 3, pointerType = 'touch' } = {}) {
+            const carousel = window.document.querySelector('.reel-carousel');
+            const pointer = (type, x) => {
+                const event = new window.MouseEvent(type, { clientX: x, clientY: 300, bubbles: true, button: 0 });
+                Object.defineProperty(event, 'pointerId', { value: 1 });
+                Object.defineProperty(event, 'pointerType', { value: pointerType });
+                carousel.dispatchEvent(event);
+            };
+            
+            const startX = 200;
+            pointer('pointerdown', startX);
+            for (let step = 1; step <= steps; step++) {
+                await clock.tick(durationMs / steps);
+                pointer('pointermove', startX + (dx * step) / steps);
+            }
+            pointer('pointerup', startX + dx);
+            await settle();
+        },
+        
+        /**
+         * Hide or show the page (tab switch)
+         */
+        async setHidden(hidden) {
+            Object.defineProperty(window.document, 'hidden', { value: hidden, configurable: true });
+            Object.defineProperty(window.document, 'visibilityState', {
+                value: hidden ? 'hidden' : 'visible',
+                configurable: true
+            });
+            window.document.dispatchEvent(new window.Event('visibilitychange'));
+            await settle();
+        },
+        
+        async unload() {
+            window.dispatchEvent(new window.Event('pagehide'));
+            await settle();
+        },
+        
+        close() {
+            window.close();
+        }
+    };
+    
+    await waitUntil(() => window.document.readyState === 'complete', 'Study page scripts did not run');
+    await settle();
+    
+    if (consent) {
+        await page.acceptConsent();
+    }
+    if (waitForStimulus && consent) {
+        await page.waitForStimulus();
+    }
+    
+    return page;
+}
+
+module.exports = {
+    loadStudyPage: loadStudyPage,
+    settle: settle
+};
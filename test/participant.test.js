@@ -0,0 +1,143 @@
+'use strict';
+
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadStudyPage, settle } = require('./helpers/study-page');
+
+const PROLIFIC_PID = '5f8a3c2e9b1d4e6f7a8b9c0d';
+
+describe('participant.js', () => {
+    let page;
+    
+    afterEach(() => {
+        page.close();
+    });
+    
+    /**
+     * User properties handed to gtag('set', 'user_properties', ...)
+     */
+    function userProperties() {
+        const call = Array.from(page.window.dataLayer).find(entry => entry[0] === 'set' && entry[1] === 'user_properties');
+        return call ? { ...call[2] } : null;
+    }
+    
+    /**
+     * Type an ID into the intake modal and submit it
+     */
+    async function enterId(value) {
+        page.document.getElementById('participant-id-input').value = value;
+        page.document.querySelector('.participant-modal-submit').click();
+        await settle();
+    }
+    
+    test('a Prolific ID and its study and session are read from the URL', async () => {
+        page = await loadStudyPage({
+            query: `?PROLIFIC_PID=${PROLIFIC_PID}&STUDY_ID=study_42&SESSION_ID=session_7&condition=carousel`
+        });
+        
+        const participant = page.window.StudyParticipant;
+        assert.equal(participant.id, PROLIFIC_PID);
+        assert.equal(participant.platform, 'prolific');
+        assert.equal(participant.isValid, true);
+        assert.equal(page.document.getElementById('participant-modal').hidden, true);
+        
+        assert.deepEqual(userProperties(), {
+            participant_id: PROLIFIC_PID,
+            recruitment_platform: 'prolific',
+            id_source: 'url',
+            id_format_valid: true,
+            platform_study_id: 'study_42',
+            platform_session_id: 'session_7',
+            consent_version: '1.0'
+        });
+        
+        const [identified] = page.events('participant_identified');
+        assert.equal(identified.params.user_id, PROLIFIC_PID);
+        assert.equal(identified.params.platform_session_id, 'session_7');
+        assert.deepEqual(Array.from(page.window.GALite.validate('participant_identified', identified.params)), []);
+    });
+    
+    test('MTurk, Qualtrics and SONA IDs are recognized and checked against their formats', async () => {
+        page = await loadStudyPage({
+            query: '?workerId=A1B2C3D4E5F6G7&assignmentId=3ABCDEFGHIJ&hitId=3HITXYZ&condition=carousel'
+        });
+        
+        const participant = page.window.StudyParticipant;
+        assert.equal(participant.platform, 'mturk');
+        assert.equal(participant.sessionId, '3ABCDEFGHIJ');
+        assert.equal(participant.studyId, '3HITXYZ');
+        
+        assert.equal(participant.detectPlatform('R_1ABCdef2GHIjkl3'), 'qualtrics');
+        assert.equal(participant.detectPlatform('48213'), 'sona');
+        assert.equal(participant.detectPlatform(PROLIFIC_PID), 'prolific');
+        assert.equal(participant.isValidId('prolific', 'not-a-prolific-id'), false);
+        assert.equal(participant.isValidId('mturk', 'a1b2c3d4e5f6g7'), false);
+    });
+    
+    test('an ID in the wrong format is still used, flagged as invalid', async () => {
+        page = await loadStudyPage(); // PROLIFIC_ID=test_participant
+        
+        const [identified] = page.events('participant_identified');
+        assert.equal(identified.params.user_id, 'test_participant');
+        assert.equal(identified.params.recruitment_platform, 'prolific');
+        assert.equal(identified.params.id_format_valid, false);
+        assert.equal(userProperties().id_format_valid, false);
+    });
+    
+    test('without an ID the modal asks for one, and nothing starts until one is entered', async () => {
+        page = await loadStudyPage({ query: '?PROLIFIC_PID={{%PROLIFIC_PID%}}&condition=carousel', waitForStimulus: false });
+        
+        const modal = page.document.getElementById('participant-modal');
+        const error = page.document.getElementById('participant-modal-error');
+        assert.equal(modal.hidden, false);
+        assert.equal(page.window.StudyCondition.arm, null);
+        
+        await enterId('');
+        assert.match(error.textContent, /enter your participant ID/);
+        
+        await enterId('my name');
+        assert.match(error.textContent, /doesn't look like/);
+        assert.equal(modal.hidden, false);
+        
+        await enterId(` ${PROLIFIC_PID} `);
+        assert.equal(modal.hidden, true);
+        await page.waitForStimulus();
+        
+        assert.equal(page.window.GALite.userId, PROLIFIC_PID);
+        assert.equal(page.window.StudyCondition.arm, 'carousel');
+        
+        const [identified] = page.events('participant_identified');
+        assert.equal(identified.params.id_source, 'manual');
+        assert.equal(identified.params.id_format_valid, true);
+        assert.ok(page.events().every(event => event.params.user_id === PROLIFIC_PID));
+    });
+    
+    test('an ID in no known format is used from the modal once it is submitted again', async () => {
+        page = await loadStudyPage({ query: '?condition=carousel', waitForStimulus: false });
+        
+        const modal = page.document.getElementById('participant-modal');
+        await enterId('lab-07');
+        assert.equal(modal.hidden, false);
+        
+        await enterId('lab-07');
+        assert.equal(modal.hidden, true);
+        await page.waitForStimulus();
+        
+        assert.equal(page.window.StudyParticipant.isValid, false);
+        assert.equal(page.window.StudyParticipant.platform, null);
+        
+        const [identified] = page.events('participant_identified');
+        assert.equal(identified.params.user_id, 'lab-07');
+        assert.equal(identified.params.id_source, 'manual');
+        assert.equal(identified.params.recruitment_platform, null);
+        assert.equal(identified.params.id_format_valid, false);
+    });
+    
+    test('replay mode never shows the modal', async () => {
+        page = await loadStudyPage({ query: '?replay=1&condition=carousel', gtag: false });
+        
+        assert.equal(page.document.getElementById('participant-modal').hidden, true);
+        assert.equal(page.window.StudyParticipant.source, 'replay');
+        assert.equal(page.window.Stimulus.rendered, true);
+    });
+});
@@ -0,0 +1,162 @@
+'use strict';
+
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'analysis', 'participants.js');
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'participants-'));
+
+/**
+ * Collector NDJSON records for one session, numbered with seq in order
+ */
+function session(userId, sessionId, clientTs, events, extraParams = {}) {
+    return events.map(([name, params], index) => ({
+        name: name,
+        params: { user_id: userId, session_id: sessionId, seq: index + 1, client_ts: clientTs + index, ...extraParams, ...params }
+    }));
+}
+
+/**
+ * The same event as a row of a GA4 BigQuery export
+ */
+function bigQueryRow(userId, name, params) {
+    return {
+        event_name: name,
+        user_id: userId,
+        event_params: Object.entries(params).map(([key, value]) => ({
+            key: key,
+            value: typeof value === 'number' ? { int_value: String(value) } : { string_value: String(value) }
+        }))
+    };
+}
+
+function writeInput(name, text) {
+    const file = path.join(DATA_DIR, name);
+    fs.writeFileSync(file, text);
+    return file;
+}
+
+function toNdjson(records) {
+    return records.map(record => JSON.stringify(record)).join('\n') + '\n';
+}
+
+/**
+ * Run the CLI and parse its CSV into objects keyed by column
+ */
+function runCli(args) {
+    const csv = execFileSync(process.execPath, [CLI, ...args], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+    const [header, ...lines] = csv.trim().split('\n').map(line =>
+        Array.from(line.matchAll(/("(?:[^"]|"")*"|[^,]*)(,|$)/g), match => match[1].replace(/^"|"$/g, '').replace(/""/g, '"'))
+            .slice(0, -1));
+    return lines.map(values => Object.fromEntries(header.map((column, index) => [column, values[index]])));
+}
+
+// p1 revisits slide 0 twice for 1.5s each and stays on slide 2 once for 2.5s
+const P1_EVENTS = session('p1', 's1', 1000, [
+    ['condition_assigned', { condition: 'carousel', assignment_source: 'hash' }],
+    ['participant_identified', { recruitment_platform: 'prolific', id_format_valid: true }],
+    ['reel_impression', { condition: 'carousel', stimulus: 'nyu-stern', ad_position: 3, reel_type: 'ad' }],
+    ['carousel_start', { condition: 'carousel', stimulus: 'nyu-stern', ad_position: 3, total_slides: 3,
+        slide_order: 'a,b,c', slide_order_mode: 'rotate' }],
+    ['dwell_end', { slide_index: 0, slide_id: 'a', dwell_ms: 1500 }],
+    ['dwell_end', { slide_index: 1, slide_id: 'b', dwell_ms: 1200 }],
+    ['dwell_end', { slide_index: 0, slide_id: 'a', dwell_ms: 1500 }],
+    ['dwell_end', { slide_index: 2, slide_id: 'c', dwell_ms: 2500 }],
+    ['engagement', { action: 'like', reel_type: 'ad' }],
+    ['engagement', { action: 'like', reel_type: 'ad', undo: true }],
+    ['engagement', { action: 'like', reel_type: 'filler' }],
+    ['reel_exit', { reel_type: 'ad', total_dwell_ms: 9000 }],
+    ['carousel_complete', { total_slides: 3 }]
+]);
+
+const NDJSON_RECORDS = [
+    ...P1_EVENTS,
+    P1_EVENTS[7], // A batch re-sent after a lost response
+    ...session('p2', 's2a', 5000, [
+        ['condition_assigned', { condition: 'static' }],
+        ['reel_exit', { reel_type: 'ad', total_dwell_ms: 1000 }]
+    ]),
+    ...session('p2', 's2b', 9000, [
+        ['condition_assigned', { condition: 'static' }],
+        ['reel_exit', { reel_type: 'ad', total_dwell_ms: 8000 }]
+    ]),
+    ...session('qa', 's3', 7000, [['condition_assigned', { condition: 'story' }]], { debug_mode: true })
+];
+
+describe('analysis/participants.js', () => {
+    const ndjsonFile = writeInput('events.ndjson', toNdjson(NDJSON_RECORDS));
+    
+    after(() => {
+        fs.rmSync(DATA_DIR, { recursive: true, force: true });
+    });
+    
+    test('collector NDJSON gives one row per participant, without repeats or debug sessions', () => {
+        const rows = runCli([ndjsonFile]);
+        assert.deepEqual(rows.map(row => row.participant_id), ['p1', 'p2']);
+        
+        const [p1, p2] = rows;
+        assert.equal(p1.session_id, 's1');
+        assert.equal(p1.recruitment_platform, 'prolific');
+        assert.equal(p1.id_format_valid, 'true');
+        assert.equal(p1.condition, 'carousel');
+        assert.equal(p1.exposure_ms, '9000');
+        assert.equal(p1.slide_order, 'a,b,c');
+        assert.equal(p1.slide_1_dwell_ms, '3000');
+        assert.equal(p1.slide_3_dwell_ms, '2500');
+        assert.equal(p1.creative_a_dwell_ms, '3000');
+        assert.equal(p1.creative_c_dwell_ms, '2500');
+        assert.equal(p1.carousel_completed, 'true');
+        assert.equal(p1.like_taps, '1');
+        
+        // Summarised from the first session, the second only counted
+        assert.equal(p2.session_id, 's2a');
+        assert.equal(p2.sessions, '2');
+        assert.equal(p2.exposure_ms, '1000');
+        assert.equal(p2.stimulus, '');
+    });
+    
+    test('stimulus and ad position come from the first event that has them', () => {
+        const [p1] = runCli([ndjsonFile]);
+        assert.equal(p1.stimulus, 'nyu-stern');
+        assert.equal(p1.ad_position, '3');
+    });
+    
+    test('a slide is viewed when one visit reaches the minimum dwell, as in carousel_complete', () => {
+        const [p1] = runCli([ndjsonFile]);
+        assert.equal(p1.slides_viewed, '1');
+        assert.equal(p1.completion_rate, '0.333');
+        
+        const [relaxed] = runCli(['--min-dwell-ms', '1500', ndjsonFile]);
+        assert.equal(relaxed.slides_viewed, '2');
+    });
+    
+    test('exclusion options drop repeat and low-exposure participants', () => {
+        assert.deepEqual(runCli(['--exclude-duplicates', ndjsonFile]).map(row => row.participant_id), ['p1']);
+        assert.deepEqual(runCli(['--min-exposure-ms', '3000', ndjsonFile]).map(row => row.participant_id), ['p1']);
+        assert.deepEqual(runCli(['--include-debug', ndjsonFile]).map(row => row.participant_id), ['p1', 'p2', 'qa']);
+        
+        const outFile = path.join(DATA_DIR, 'out.csv');
+        runCli(['--out', outFile, ndjsonFile]);
+        assert.match(fs.readFileSync(outFile, 'utf8'), /^participant_id,session_id,sessions,/);
+    });
+    
+    test('a BigQuery export gives the same row as the collector log', () => {
+        const rows = P1_EVENTS.map(({ name, params }) => {
+            const { user_id: userId, ...eventParams } = params;
+            return bigQueryRow(userId, name, eventParams);
+        });
+        const arrayFile = writeInput('export.json', JSON.stringify(rows));
+        const ndjsonExport = writeInput('export.ndjson', toNdjson(rows));
+        
+        const [fromCollector] = runCli([ndjsonFile]);
+        const [fromArray] = runCli([arrayFile]);
+        const [fromNdjson] = runCli([ndjsonExport]);
+        
+        assert.deepEqual(fromArray, fromCollector);
+        assert.deepEqual(fromNdjson, fromCollector);
+    });
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadStudyPage, settle } = require('./helpers/study-page');
+
+const STORY_QUERY = '?PROLIFIC_ID=test_participant&condition=story&ad_position=2';
+const SLIDE_MS = 5000;
+const HOLD_MS = 250;
+const CAROUSEL_WIDTH = 300;
+
+describe('story-mode.js', () => {
+    let page;
+    let carousel;
+    
+    /**
+     * Press on the carousel at x, hold for holdMs and let go
+     */
+    async function press(x, holdMs = 50) {
+        const pointer = (type) => {
+            const event = new page.window.MouseEvent(type, { clientX: x, clientY: 300, bubbles: true, button: 0 });
+            Object.defineProperty(event, 'pointerId', { value: 1 });
+            Object.defineProperty(event, 'pointerType', { value: 'touch' });
+            carousel.dispatchEvent(event);
+        };
+        
+        pointer('pointerdown');
+        await page.clock.tick(holdMs);
+        pointer('pointerup');
+        await settle();
+    }
+    
+    const views = () => page.events('slide_view').map(event => [event.params.slide_index, event.params.advance_type]);
+    const fillWidths = () => Array.from(carousel.querySelectorAll('.story-progress-fill'), fill => fill.style.width);
+    
+    beforeEach(async () => {
+        page = await loadStudyPage({ query: STORY_QUERY });
+        carousel = page.document.querySelector('.reel-carousel');
+        carousel.getBoundingClientRect = () => ({ left: 0, right: CAROUSEL_WIDTH, width: CAROUSEL_WIDTH, top: 0, bottom: 600, height: 600 });
+    });
+    
+    afterEach(() => {
+        page.close();
+    });
+    
+    test('renders one progress segment per slide instead of dots', () => {
+        assert.equal(carousel.dataset.mode, 'story');
+        assert.equal(carousel.querySelectorAll('.story-progress-segment').length, 4);
+        assert.equal(carousel.querySelector('.reel-carousel-dots'), null);
+        assert.deepEqual(fillWidths(), ['0%', '0%', '0%', '0%']);
+    });
+    
+    test('slides advance on the timer while the ad reel is on screen, stopping on the last', async () => {
+        await page.clock.tick(SLIDE_MS * 2); // Not on screen yet
+        await page.showAd();
+        
+        await page.clock.tick(SLIDE_MS - 1);
+        assert.deepEqual(views(), [[0, null]]);
+        assert.ok(parseFloat(fillWidths()[0]) > 99); // Redrawn every animation frame
+        assert.deepEqual(fillWidths().slice(1), ['0%', '0%', '0%']);
+        
+        await page.clock.tick(1);
+        const view = page.events('slide_view')[1];
+        assert.equal(view.params.slide_index, 1);
+        assert.equal(view.params.advance_type, 'auto');
+        assert.equal(view.params.direction, 'next');
+        assert.equal(view.params.input_method, null);
+        assert.deepEqual(fillWidths(), ['100%', '0%', '0%', '0%']);
+        
+        await page.clock.tick(SLIDE_MS * 4);
+        assert.deepEqual(views(), [[0, null], [1, 'auto'], [2, 'auto'], [3, 'auto']]);
+        assert.deepEqual(fillWidths(), ['100%', '100%', '100%', '100%']);
+        assert.equal(page.window.StoryMode.getState()[0].isFinished, true);
+    });
+    
+    test('the timer stops while the page is hidden or the reel is scrolled away', async () => {
+        await page.showAd();
+        await page.clock.tick(2000);
+        
+        await page.setHidden(true);
+        await page.clock.tick(SLIDE_MS);
+        await page.setHidden(false);
+        
+        page.setVisible(page.adReel(), 0);
+        await page.clock.tick(SLIDE_MS);
+        page.setVisible(page.adReel(), 1);
+        
+        await page.clock.tick(2999);
+        assert.deepEqual(views(), [[0, null]]);
+        await page.clock.tick(1);
+        assert.deepEqual(views(), [[0, null], [1, 'auto']]);
+    });
+    
+    test('press and hold pauses the story and is tracked as its own events', async () => {
+        await page.showAd();
+        await page.clock.tick(2000);
+        await press(150, 3000);
+        
+        const [pause] = page.events('story_pause');
+        assert.equal(pause.params.slide_index, 0);
+        assert.equal(pause.params.slide_elapsed_ms, 2000 + HOLD_MS);
+        assert.equal(pause.params.story_pause_count, 1);
+        
+        const [resume] = page.events('story_resume');
+        assert.equal(resume.params.slide_index, 0);
+        assert.equal(resume.params.pause_ms, 3000 - HOLD_MS);
+        
+        // The rest of the slide's time picks up where the hold stopped it
+        await page.clock.tick(SLIDE_MS - 2000 - HOLD_MS - 1);
+        assert.deepEqual(views(), [[0, null]]);
+        await page.clock.tick(1);
+        assert.deepEqual(views(), [[0, null], [1, 'auto']]);
+        
+        await page.unload();
+        const [complete] = page.events('carousel_complete');
+        assert.equal(complete.params.story_pauses, 1);
+        assert.equal(complete.params.advances, 'auto:1,manual:0');
+    });
+    
+    test('taps go forward on the right and back on the left third, resetting the timer', async () => {
+        await page.showAd();
+        await page.clock.tick(1000);
+        
+        await press(250);
+        await press(250);
+        await press(50);
+        assert.deepEqual(page.events('story_pause'), []);
+        
+        const [, forward, , back] = page.events('slide_view');
+        assert.equal(forward.params.input_method, 'tap');
+        assert.equal(forward.params.advance_type, 'manual');
+        assert.equal(back.params.slide_index, 1);
+        assert.equal(back.params.direction, 'prev');
+        
+        await page.clock.tick(SLIDE_MS - 1);
+        assert.equal(page.events('slide_view').length, 4);
+        assert.equal(page.window.StoryMode.getState()[0].elapsedMs, SLIDE_MS - 1);
+        assert.equal(fillWidths()[0], '100%');
+    });
+    
+    test('swipes are manual advances and every story event validates', async () => {
+        await page.showAd();
+        await page.clock.tick(SLIDE_MS);
+        await page.swipe(-150);
+        await press(150, 1000);
+        await page.unload();
+        
+        assert.deepEqual(views(), [[0, null], [1, 'auto'], [2, 'manual']]);
+        assert.equal(page.events('slide_view')[2].params.input_method, 'touch');
+        
+        const [complete] = page.events('carousel_complete');
+        assert.equal(complete.params.advances, 'auto:1,manual:1');
+        assert.equal(complete.params.input_methods, 'touch');
+        
+        const problems = page.events().flatMap(event => page.window.GALite.validate(event.name, event.params));
+        assert.deepEqual(problems.filter(problem => !problem.includes('transport_type')), []);
+    });
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadStudyPage, settle } = require('./helpers/study-page');
+
+const VIDEO_QUERY = '?PROLIFIC_ID=test_participant&condition=video&ad_position=2';
+
+describe('survey-return.js', () => {
+    let page;
+    
+    afterEach(() => {
+        page.close();
+    });
+    
+    const button = () => page.document.getElementById('return-survey-btn');
+    const isLocked = () => button().classList.contains('locked');
+    
+    test('a video ad that never plays falls back to time on screen', async () => {
+        page = await loadStudyPage({ query: VIDEO_QUERY });
+        page.document.getElementById('adVideo').play = () => Promise.reject(new Error('NotAllowedError'));
+        await page.showAd();
+        
+        await page.clock.tick(14000);
+        assert.equal(isLocked(), true);
+        
+        await page.clock.tick(1000);
+        assert.equal(isLocked(), false);
+        
+        const [unlocked] = page.events('return_unlocked');
+        assert.equal(unlocked.params.requirement, 'display_time');
+    });
+    
+    test('a video ad that played and was paused still needs 15 seconds of playing', async () => {
+        page = await loadStudyPage({ query: VIDEO_QUERY });
+        await page.showAd();
+        await page.clock.tick(3000);
+        page.document.getElementById('adVideo').pause();
+        
+        await page.clock.tick(20000);
+        assert.equal(isLocked(), true);
+        assert.deepEqual(page.events('return_unlocked'), []);
+    });
+    
+    test('the video ad unlocks after the maximum wait even if it is never on screen', async () => {
+        page = await loadStudyPage({ query: VIDEO_QUERY });
+        page.document.getElementById('adVideo').dispatchEvent(new page.window.Event('error'));
+        
+        await page.clock.tick(89000);
+        assert.equal(isLocked(), true);
+        
+        await page.clock.tick(1000);
+        assert.equal(isLocked(), false);
+        
+        const [unlocked] = page.events('return_unlocked');
+        assert.equal(unlocked.params.requirement, 'max_wait');
+    });
+    
+    test('the return URL carries the ID with the platform it came from', async () => {
+        page = await loadStudyPage({ query: '?workerId=A1B2C3D4E5F6G7&condition=carousel' });
+        
+        const params = new URL(page.window.SurveyReturn.buildReturnUrl()).searchParams;
+        assert.equal(params.get('PROLIFIC_ID'), 'A1B2C3D4E5F6G7');
+        assert.equal(params.get('recruitment_platform'), 'mturk');
+        assert.equal(params.get('condition'), 'carousel');
+    });
+    
+    test('a click before the arm is assigned is refused without an error', async () => {
+        page = await loadStudyPage({ consent: false });
+        button().click();
+        await settle();
+        
+        assert.equal(isLocked(), true);
+        assert.deepEqual(page.errors, []);
+    });
+});
@@ -0,0 +1,176 @@
+'use strict';
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadStudyPage, settle } = require('./helpers/study-page');
+
+const VIDEO_QUERY = '?PROLIFIC_ID=test_participant&condition=video&ad_position=2';
+const MOCK_PLAYER = 'test/fixtures/mock-player.html';
+const FRAME_TIMEOUT_MS = 5000;
+
+/**
+ * Let messages between the page and its mock players go back and forth
+ * (jsdom delivers postMessage on a real timer)
+ */
+async function exchange(rounds = 6) {
+    for (let i = 0; i < rounds; i++) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await settle();
+    }
+}
+
+describe('video-adapters.js', () => {
+    let page;
+    
+    /**
+     * Add a mock player iframe to the ad reel and wait for its handshake with the tracker
+     */
+    async function addMockPlayer(api, videoId, query = '') {
+        const iframe = page.document.createElement('iframe');
+        iframe.dataset.videoPlayer = api;
+        iframe.dataset.videoId = videoId;
+        iframe.src = `${MOCK_PLAYER}?api=${api}&duration=30${query}`;
+        page.adReel().appendChild(iframe);
+        await settle();
+        
+        const deadline = Date.now() + FRAME_TIMEOUT_MS;
+        while (!(iframe.contentWindow && iframe.contentWindow.MockPlayer &&
+            iframe.contentWindow.MockPlayer.getState().listeners.length > 0)) {
+            if (Date.now() > deadline) throw new Error(`Mock ${api} player did not load`);
+            await exchange(1);
+        }
+        await exchange();
+        return iframe.contentWindow.MockPlayer;
+    }
+    
+    /**
+     * Play forward one second at a time, in step with the page clock
+     */
+    async function playFor(player, seconds) {
+        for (let i = 0; i < seconds; i++) {
+            await page.clock.tick(1000);
+            player.advance(1);
+            await exchange(2);
+        }
+    }
+    
+    const byVideo = (name, videoId) => page.events(name).filter(event => event.params.video_id === videoId);
+    
+    beforeEach(async () => {
+        page = await loadStudyPage({ query: VIDEO_QUERY });
+    });
+    
+    afterEach(() => {
+        page.close();
+    });
+    
+    test('a Vimeo player subscribes to its events, including timeupdate', async () => {
+        const player = await addMockPlayer('vimeo', 'vimeo_ad');
+        
+        const listeners = player.getState().listeners;
+        ['play', 'pause', 'timeupdate', 'ended', 'seeked'].forEach(name => assert.ok(listeners.includes(name), name));
+        
+        player.play();
+        await exchange();
+        await playFor(player, 6);
+        
+        const [start] = byVideo('video_start', 'vimeo_ad');
+        assert.equal(start.params.video_type, 'vimeo');
+        assert.equal(start.params.duration_s, 30);
+        assert.deepEqual(byVideo('video_progress', 'vimeo_ad').map(event => event.params.second), [5]);
+    });
+    
+    test('Vimeo seeks, volume and the end of the video are tracked', async () => {
+        const player = await addMockPlayer('vimeo', 'vimeo_ad');
+        player.play();
+        await exchange();
+        await playFor(player, 4);
+        
+        player.seek(20);
+        player.setVolume(0.5);
+        await exchange();
+        await page.clock.tick(500);
+        await playFor(player, 10);
+        
+        const [seek] = byVideo('video_seek', 'vimeo_ad');
+        assert.equal(seek.params.from_s, 4);
+        assert.equal(seek.params.to_s, 20);
+        assert.equal(byVideo('video_volume', 'vimeo_ad')[0].params.volume, 0.5);
+        
+        const [complete] = byVideo('video_complete', 'vimeo_ad');
+        assert.equal(complete.params.unique_seconds_watched, 14);
+        assert.equal(complete.params.seek_count, 1);
+        assert.equal(complete.params.completed_naturally, undefined);
+    });
+    
+    test('a YouTube player is tracked after the listening handshake', async () => {
+        const player = await addMockPlayer('youtube', 'youtube_ad');
+        assert.ok(player.getState().listeners.includes('onStateChange'));
+        
+        player.play();
+        await exchange();
+        await playFor(player, 8);
+        player.pause();
+        await exchange();
+        
+        // A jump with no seek event is still reported as one
+        player.seek(25);
+        await exchange();
+        
+        const [start] = byVideo('video_start', 'youtube_ad');
+        assert.equal(start.params.video_type, 'youtube');
+        assert.equal(start.params.duration_s, 30);
+        assert.deepEqual(byVideo('video_quartile', 'youtube_ad').map(event => event.params.percent), [25]);
+        
+        const [seek] = byVideo('video_seek', 'youtube_ad');
+        assert.equal(seek.params.from_s, 8);
+        assert.equal(seek.params.to_s, 25);
+        
+        await page.unload();
+        const [complete] = byVideo('video_complete', 'youtube_ad');
+        assert.equal(complete.params.watched_ms, 8000);
+        assert.equal(complete.params.unique_seconds_watched, 8);
+        assert.equal(complete.params.completed_naturally, false);
+    });
+    
+    test('Vimeo messages count only when they come from the player\'s own frame', async () => {
+        const player = await addMockPlayer('vimeo', 'vimeo_ad', '&player_id=ad_player');
+        
+        // The embed's own message with its player_id, but posted by the page instead of the frame
+        page.window.postMessage(JSON.stringify({ event: 'play', data: { seconds: 0 }, player_id: 'ad_player' }), '*');
+        await exchange();
+        assert.equal(byVideo('video_start', 'vimeo_ad').length, 0);
+        
+        player.play();
+        await exchange();
+        assert.equal(byVideo('video_start', 'vimeo_ad').length, 1);
+    });
+    
+    test('every video keeps its own state and video_id', async () => {
+        const first = await addMockPlayer('vimeo', 'shared_ad');
+        const second = await addMockPlayer('vimeo', 'shared_ad');
+        const video = page.document.getElementById('adVideo');
+        video.fakeMedia.duration = 30;
+        video.fakeMedia.readyState = 1;
+        video.dispatchEvent(new page.window.Event('loadedmetadata'));
+        
+        first.play();
+        await exchange();
+        await playFor(first, 5);
+        second.play();
+        await exchange();
+        await playFor(second, 2);
+        
+        const ids = Array.from(page.window.VideoTracker.getState().videos, state => state.videoId);
+        assert.deepEqual(ids, ['nyu_video_1', 'shared_ad', 'shared_ad_2']);
+        
+        assert.deepEqual(page.events('video_start').map(event => event.params.video_id), ['shared_ad', 'shared_ad_2']);
+        assert.equal(byVideo('video_progress', 'shared_ad').length, 1);
+        assert.equal(byVideo('video_progress', 'shared_ad_2').length, 0);
+        
+        await page.unload();
+        const watched = page.events('video_complete').map(event => [event.params.video_id, event.params.watched_ms]);
+        assert.deepEqual(watched, [['shared_ad', 7000], ['shared_ad_2', 2000]]);
+        assert.equal(page.window.VideoTracker.getWatchedMs(), 9000);
+    });
+});